@@ -0,0 +1,9 @@
+// Contract ABIs shared by the client and the subsystem modules
+import FACTORY_ABI from '../abis/factory.json' with { type: 'json' };
+import QUOTER_ABI from '../abis/quoter.json' with { type: 'json' };
+import SWAP_ROUTER_ABI from '../abis/swaprouter.json' with { type: 'json' };
+import POOL_ABI from '../abis/pool.json' with { type: 'json' };
+import POSITION_MANAGER_ABI from '../abis/nonfungiblePositionManager.json' with { type: 'json' };
+import TOKEN_ABI from '../abis/weth.json' with { type: 'json' };
+
+export { FACTORY_ABI, QUOTER_ABI, SWAP_ROUTER_ABI, POOL_ABI, POSITION_MANAGER_ABI, TOKEN_ABI };
@@ -0,0 +1,350 @@
+import { readFile } from 'node:fs/promises';
+import { ethers } from 'ethers';
+import { UsageError, SlippageExceededError, RpcError, classifyError } from './errors.js';
+
+// ========================
+// BATCH ORDER FILES
+// ========================
+// A batch is a JSON array of orders (or an object with an `orders` array) or a CSV file with a
+// header row. Each order names tokenIn, tokenOut and amount, and optionally mode (exact-input or
+// exact-output), slippage in basis points and recipient; missing optional fields fall back to the
+// options of the batch itself. Field names are matched ignoring case, dashes and underscores, so
+// token_in and Token-In both work. Values are returned as strings for the caller to validate.
+
+export const ORDER_FIELDS = ['tokenIn', 'tokenOut', 'amount', 'mode', 'slippage', 'recipient'];
+export const ORDER_MODES = ['exact-input', 'exact-output'];
+
+// What a batch does when an order fails: stop and skip the rest, or carry on with the next
+export const BATCH_ERROR_POLICIES = ['stop', 'continue'];
+
+const FIELD_BY_KEY = new Map(ORDER_FIELDS.map((field) => [fieldKey(field), field]));
+
+function fieldKey(name) {
+  return name.replace(/[-_\s]/g, '').toLowerCase();
+}
+
+// RFC 4180 rows: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new UsageError('Unterminated quoted field in the CSV order file');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+function parseCsvOrders(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map((name) => {
+    const field = FIELD_BY_KEY.get(fieldKey(name));
+    if (!field) {
+      throw new UsageError(`Unknown column "${name}" in the CSV order file, expected ${ORDER_FIELDS.join(', ')}`);
+    }
+    return field;
+  });
+
+  return rows.map((fields) => {
+    const order = {};
+    columns.forEach((field, column) => {
+      const value = (fields[column] ?? '').trim();
+      if (value !== '') order[field] = value;
+    });
+    return order;
+  });
+}
+
+function parseJsonOrders(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`The order file is not valid JSON: ${error.message}`, { cause: error });
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.orders;
+  if (!Array.isArray(list)) {
+    throw new UsageError('A JSON order file must hold an array of orders or an object with an "orders" array');
+  }
+
+  return list.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new UsageError(`Order ${index + 1} is not an object`);
+    }
+    const order = {};
+    for (const [name, value] of Object.entries(entry)) {
+      const field = FIELD_BY_KEY.get(fieldKey(name));
+      if (!field) {
+        throw new UsageError(`Unknown field "${name}" in order ${index + 1}, expected ${ORDER_FIELDS.join(', ')}`);
+      }
+      if (value !== null && value !== undefined && value !== '') order[field] = String(value);
+    }
+    return order;
+  });
+}
+
+/**
+ * Orders of a batch file, JSON or CSV, with every present field as a trimmed string.
+ *
+ * @param {string} text File contents
+ * @param {'json'|'csv'} format
+ * @returns {object[]}
+ */
+export function parseOrders(text, format) {
+  return format === 'csv' ? parseCsvOrders(text) : parseJsonOrders(text);
+}
+
+// Read an order file; .csv files are CSV, anything else is JSON
+export async function readOrderFile(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read the order file ${path}: ${error.message}`, { cause: error });
+  }
+  return parseOrders(text, path.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+}
+
+// ========================
+// BATCH RUNS
+// ========================
+// A batch is checked as a whole before anything is sent: every order is quoted, and what it may
+// spend is taken from a running balance that earlier orders paying the sender add to, so an order
+// may spend what an earlier one buys. One approval per input token then covers the whole batch,
+// and the orders run one at a time through the same transaction manager, which numbers the nonces.
+
+/**
+ * Batch runner on top of a swap client's building blocks, which createSwapClient passes in.
+ *
+ * @param {object} client
+ * @param {(token: string) => Promise<object>} client.fetchTokenInfo
+ * @param {(tokenInfo: object, wallet: { address: string }) => Promise<bigint>} client.checkBalance
+ * @param {Function} client.prepareQuote Exact input quote with its guards, for SwapOptions
+ * @param {Function} client.prepareExactOutputQuote Exact output counterpart of prepareQuote
+ * @param {Function} client.approveToken
+ * @param {(options: object) => Promise<object>} client.swapTokens Quote and send one order
+ * @param {() => ethers.Wallet} client.requireSigner
+ * @param {(options: object) => string} client.dryRunSender
+ * @param {Function} client.assertDistinctTokens
+ * @param {Function} client.insufficientBalance
+ * @param {(value: bigint, decimals: number) => string} client.formatBigInt
+ * @param {(message: string, data?: any) => void} client.log
+ * @param {(message: string, error: Error) => void} client.logError
+ */
+export function createBatchRunner({
+  fetchTokenInfo,
+  checkBalance,
+  prepareQuote,
+  prepareExactOutputQuote,
+  approveToken,
+  swapTokens,
+  requireSigner,
+  dryRunSender,
+  assertDistinctTokens,
+  insufficientBalance,
+  formatBigInt,
+  log,
+  logError,
+}) {
+  // Quote every order and check it against the running balances. Returns the orders with their
+  // tokens and the most each may spend, or throws a UsageError listing every problem found.
+  async function planBatch(orders, sender, dryRun) {
+    const balances = new Map();
+    const problems = [];
+    const planned = [];
+
+    // Running balance of a token, read once from the chain
+    async function balanceKey(tokenInfo) {
+      const key = tokenInfo.isNative ? tokenInfo.symbol : tokenInfo.address.toLowerCase();
+      if (!balances.has(key)) {
+        balances.set(key, await checkBalance(tokenInfo, { address: sender }));
+      }
+      return key;
+    }
+
+    for (const [index, order] of orders.entries()) {
+      try {
+        const tokenIn = await fetchTokenInfo(order.tokenIn);
+        const tokenOut = await fetchTokenInfo(order.tokenOut);
+        assertDistinctTokens(tokenIn, tokenOut);
+
+        let spend;
+        let receive;
+        let quote;
+        if (order.exactOutput) {
+          receive = ethers.parseUnits(order.amount, tokenOut.decimals);
+          quote = await prepareExactOutputQuote(tokenIn, tokenOut, receive, order);
+          spend = quote.amountInMaximum;
+        } else {
+          spend = ethers.parseUnits(order.amount, tokenIn.decimals);
+          quote = await prepareQuote(tokenIn, tokenOut, spend, order);
+          receive = quote.amountOutMinimum;
+        }
+        if (spend === BigInt(0)) {
+          throw new UsageError(`The amount rounds to zero in ${tokenIn.symbol}'s smallest unit`);
+        }
+        if (quote.impactBlocked) {
+          throw new SlippageExceededError(quote.impactBlocked, { guard: 'priceImpact' });
+        }
+        if (quote.oracle && quote.oracle.blocked) {
+          throw new SlippageExceededError(quote.oracle.blocked, { guard: 'twap' });
+        }
+
+        // A dry run simulates with overridden balances, so a shortfall does not stop it
+        const inKey = await balanceKey(tokenIn);
+        if (!dryRun && balances.get(inKey) < spend) {
+          throw insufficientBalance(tokenIn, balances.get(inKey), spend);
+        }
+        balances.set(inKey, balances.get(inKey) - spend);
+
+        const recipient = order.recipient || sender;
+        if (recipient.toLowerCase() === sender.toLowerCase()) {
+          const outKey = await balanceKey(tokenOut);
+          balances.set(outKey, balances.get(outKey) + receive);
+        }
+
+        planned.push({ order, tokenIn, tokenOut, spend });
+      } catch (error) {
+        const classified = classifyError(error, (cause) => cause);
+        if (classified instanceof RpcError) {
+          throw classified;
+        }
+        problems.push({ order: index + 1, code: classified.code ?? null, message: classified.message });
+      }
+    }
+
+    if (problems.length > 0) {
+      const list = problems.map((problem) => `order ${problem.order}: ${problem.message}`).join('; ');
+      throw new UsageError(`${problems.length} of ${orders.length} batch orders cannot run, nothing was sent: ${list}`, { problems });
+    }
+    return planned;
+  }
+
+  // One approval per ERC-20 input token, for the total every order of the batch may spend
+  async function approveBatch(planned, signer) {
+    const totals = new Map();
+    for (const { tokenIn, spend } of planned) {
+      if (tokenIn.isNative) continue;
+      const key = tokenIn.address.toLowerCase();
+      const previous = totals.get(key);
+      totals.set(key, { tokenInfo: tokenIn, amount: (previous ? previous.amount : BigInt(0)) + spend });
+    }
+
+    const approvals = [];
+    for (const { tokenInfo, amount } of totals.values()) {
+      const result = await approveToken(tokenInfo, amount, signer, { requireBalance: false });
+      approvals.push({
+        token: tokenInfo.address,
+        symbol: tokenInfo.symbol,
+        amount: formatBigInt(amount, tokenInfo.decimals),
+        txHash: result.txHash ?? null
+      });
+    }
+    return approvals;
+  }
+
+  // batch: validate a list of orders, approve their inputs once and swap them in order
+  async function run(options) {
+    const { orders, onError, ...defaults } = options;
+    if (!orders || orders.length === 0) {
+      throw new UsageError('The batch has no orders');
+    }
+    if (!BATCH_ERROR_POLICIES.includes(onError)) {
+      throw new UsageError(`onError must be one of ${BATCH_ERROR_POLICIES.join(', ')}, got "${onError}"`);
+    }
+
+    const signer = options.dryRun ? null : requireSigner();
+    const sender = options.dryRun ? dryRunSender(options) : signer.address;
+
+    log(`Checking ${orders.length} batch orders...`);
+    const planned = await planBatch(orders.map((order) => ({ ...defaults, ...order })), sender, options.dryRun);
+    const approvals = options.dryRun ? [] : await approveBatch(planned, signer);
+
+    const results = [];
+    let stopped = false;
+    for (const [index, { order, tokenIn, tokenOut }] of planned.entries()) {
+      const summary = {
+        order: index + 1,
+        tokenIn: tokenIn.symbol,
+        tokenOut: tokenOut.symbol,
+        amount: order.amount,
+        mode: order.exactOutput ? 'exact-output' : 'exact-input'
+      };
+      if (stopped) {
+        results.push({ ...summary, status: 'skipped' });
+        continue;
+      }
+
+      log(`Batch order ${index + 1} of ${planned.length}: ${order.amount} ${order.exactOutput ? `${tokenOut.symbol} for ${tokenIn.symbol}` : `${tokenIn.symbol} to ${tokenOut.symbol}`}`);
+      try {
+        // The batch approval already covers the order, so no permit is signed
+        const result = await swapTokens({ ...order, usePermit: false });
+        results.push({
+          ...summary,
+          status: options.dryRun ? 'dry-run' : 'success',
+          txHash: result.txHash ?? null,
+          amountIn: result.amountIn,
+          amountOut: result.amountOut,
+          effectivePrice: result.effectivePrice ?? null,
+          slippageBps: result.slippageBps ?? null,
+          feeEth: result.feeEth ?? result.estimatedFeeEth ?? null
+        });
+      } catch (error) {
+        logError(`Batch order ${index + 1} failed`, error);
+        results.push({
+          ...summary,
+          status: 'failed',
+          txHash: error.transactionHash ?? null,
+          error: { code: error.code ?? null, message: error.message }
+        });
+        stopped = onError === 'stop';
+      }
+    }
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    return {
+      success: count('failed') === 0,
+      sender,
+      onError,
+      approvals,
+      orders: results,
+      summary: { total: results.length, succeeded: count('success') + count('dry-run'), failed: count('failed'), skipped: count('skipped') }
+    };
+  }
+
+  return { run };
+}
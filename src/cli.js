@@ -0,0 +1,755 @@
+import { parseArgs } from 'node:util';
+import { ethers } from 'ethers';
+import { NETWORKS, DEFAULT_NETWORK, loadNetwork, resolveTokenAddress, verifyChainId } from './networks.js';
+import { DEFAULT_MAX_HOPS, KNOWN_FEE_TIERS } from './routing.js';
+import {
+  createSwapClient,
+  NATIVE_SYMBOL,
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_MINUTES,
+  MAX_SLIPPAGE_BPS,
+  DEFAULT_MAX_PRICE_IMPACT_BPS,
+  DEFAULT_MAX_SPLITS,
+  DEFAULT_SPLIT_STEP_PERCENT,
+  DEFAULT_TWAP_MINUTES,
+  DEFAULT_MAX_TWAP_DEVIATION_BPS,
+  TWAP_ACTIONS,
+} from './client.js';
+import { FEE_STRATEGIES, DEFAULT_TRANSACTION_OPTIONS } from './transactions.js';
+import { createJournal, DEFAULT_JOURNAL_PATH } from './journal.js';
+import { readOrderFile, ORDER_MODES, BATCH_ERROR_POLICIES } from './batch.js';
+import { createLimitOrderStore, DEFAULT_LIMIT_ORDERS_PATH } from './limits.js';
+import { createDcaStore, DEFAULT_DCA_PATH, CATCH_UP_POLICIES, parseInterval } from './dca.js';
+import { UsageError, MissingSignerError, SwapError, classifyError } from './errors.js';
+import { createConsoleLogger } from './logger.js';
+
+// ========================
+// COMMAND LINE INTERFACE
+// ========================
+
+export const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  quote        Quote a swap without sending anything
+  swap         Quote and execute a swap
+  pool         Compare the pools of every fee tier for a token pair
+  pool inspect Show a pool's prices, depth to 1, 2 and 5% moves and liquidity around the price, by --pool or pair and --fee
+  pool create  Create and initialize the pool of --token-a/--token-b at --initial-price, optionally seeding a position
+  simulate     Simulate a swap offline in every direct pool from its tick state
+  balances     Show ETH and token balances of a wallet
+  wrap         Wrap ETH into WETH
+  unwrap       Unwrap WETH into ETH
+  approve      Approve the swap router to spend a token
+  grow-oracle  Let a pool store more price observations for longer TWAP windows
+  cancel       Replace a stuck transaction with a 0 ETH transfer to self
+  batch        Validate a file of swap orders, approve their inputs once and run them in order
+  history      List journalled quotes, approvals and swaps with realised PnL per token
+  limit        Place a limit order selling --amount once the price reaches --price, and watch it
+  limits       List the stored limit orders, or cancel one with --cancel-order
+  watch        Resume watching the pending limit orders
+  dca          Create a schedule buying --token-out with --amount of --token-in --every interval, and run it
+  dca-list     List the stored DCA schedules, or cancel one with --cancel-schedule
+  dca-run      Run the active DCA schedules, catching up on missed periods
+  lp add       Mint a liquidity position over a price range with --amount-a and/or --amount-b
+  lp list      List the liquidity positions of a wallet with their range, fees and in-range status
+  lp increase  Add --amount0 and/or --amount1 to a position
+  lp decrease  Remove --percent of a position's liquidity, to be collected with lp collect
+  lp collect   Withdraw a position's fees and removed liquidity
+  lp burn      Destroy an empty position NFT
+
+Options:
+  -n, --network <name>        Network profile: ${Object.keys(NETWORKS).join(', ')} (default: $NETWORK or ${DEFAULT_NETWORK})
+      --rpc-url <url>         RPC endpoint, overrides $RPC_URL and the profile default
+  -i, --token-in <token>      Token to sell, address, registry symbol or ETH (quote, swap, pool)
+  -o, --token-out <token>     Token to buy, address, registry symbol or ETH (quote, swap, pool)
+  -t, --token <token>         Token to approve, show a balance for or filter the history by (approve, balances, history; repeatable)
+  -a, --amount <number>       Amount in human units, e.g. 1.5
+  -s, --slippage <bps>        Slippage tolerance in basis points, 50 = 0.5% (default: ${DEFAULT_SLIPPAGE_BPS})
+      --max-impact <bps>      Largest price impact a swap may have, in basis points (default: ${DEFAULT_MAX_PRICE_IMPACT_BPS})
+  -r, --recipient <address>   Address receiving the output tokens (default: signer)
+  -d, --deadline <minutes>    Minutes until the swap expires (default: ${DEFAULT_DEADLINE_MINUTES})
+      --max-hops <n>          Maximum number of pools in a route (default: ${DEFAULT_MAX_HOPS})
+      --via <token>           Base token routes may pass through, replaces the network's list (repeatable)
+      --max-splits <n>        Maximum number of routes an order is split across, 1 disables splitting (default: ${DEFAULT_MAX_SPLITS})
+      --split-step <percent>  Granularity of split percentages (default: ${DEFAULT_SPLIT_STEP_PERCENT})
+      --twap-minutes <n>      Compare spot prices with an n-minute TWAP before swapping, 0 disables (default: ${DEFAULT_TWAP_MINUTES})
+      --max-twap-deviation <bps>  Largest allowed shortfall of the spot price against the TWAP (default: ${DEFAULT_MAX_TWAP_DEVIATION_BPS})
+      --twap-action <action>  reject: refuse beyond the deviation; tighten: also raise the minimum output to the TWAP bound (default: reject)
+      --pool <address>        Pool to grow or inspect (grow-oracle, pool inspect)
+      --cardinality <n>       Number of observations the pool should store (grow-oracle)
+      --address <address>     Wallet to show balances or positions for, or to dry-run a swap from (default: signer)
+      --fee-strategy <name>   Gas fees: ${Object.keys(FEE_STRATEGIES).join(', ')} (default: ${DEFAULT_TRANSACTION_OPTIONS.feeStrategy})
+      --max-fee <gwei>        Cap on the max fee per gas, also for speed-ups
+      --priority-fee <gwei>   Fixed priority fee per gas instead of the strategy's
+      --speed-up-after <seconds>  Resend a pending transaction with higher fees after this long (default: ${DEFAULT_TRANSACTION_OPTIONS.speedUpAfterSeconds})
+      --nonce <n>             Nonce of the transaction to cancel (default: oldest pending) (cancel)
+      --exact-output          Buy exactly --amount of --token-out, spending at most the quote plus slippage (quote, swap)
+      --no-fallback           Do not retry with exactOutputSingle when exactInputSingle fails
+      --no-permit             Always send a separate approve transaction instead of signing a permit
+      --dry-run               Simulate the swap with eth_call and print the calldata, sending and signing nothing (swap)
+      --orders <file>         JSON or CSV file of orders: tokenIn, tokenOut, amount, mode, slippage, recipient (batch)
+      --on-error <policy>     stop: skip the remaining orders after a failure; continue: run them anyway (default: stop) (batch)
+      --verify                Check the simulated amounts against the Quoter (simulate)
+      --price <price>         Limit price in --token-out per --token-in, the order sells at or above it (limit)
+      --no-watch              Only store the limit order or schedule, run watch or dca-run later (limit, dca)
+      --cancel-order <id>     Cancel a pending limit order (limits)
+      --limit-orders <path>   Limit order file (default: $LIMIT_ORDERS_PATH or ${DEFAULT_LIMIT_ORDERS_PATH})
+      --every <interval>      Period of a DCA schedule: 30m, 12h, 1d, 1w, ... (dca)
+      --start <date>          First period of the schedule, date or ISO timestamp (default: now) (dca)
+      --end <date>            No period after this date or ISO timestamp (default: never) (dca)
+      --max-price <price>     Most --token-in paid per --token-out; pricier periods are skipped (dca)
+      --catch-up <policy>     Missed periods: ${CATCH_UP_POLICIES.join(', ')} (default: ${CATCH_UP_POLICIES[0]}) (dca)
+      --cancel-schedule <id>  Cancel an active DCA schedule (dca-list)
+      --token-a <token>       First token of a liquidity pair, address or registry symbol (lp, pool create, pool inspect)
+      --token-b <token>       Second token of a liquidity pair; prices are --token-b per --token-a (lp, pool create, pool inspect)
+      --fee <tier>            Fee tier of the pool: ${KNOWN_FEE_TIERS.join(', ')} (lp, pool create, pool inspect)
+      --initial-price <price> Starting price of a new pool in --token-b per --token-a (pool create)
+      --price-lower <price>   Lower bound of the position's price range (lp add, pool create)
+      --price-upper <price>   Upper bound of the position's price range (lp add, pool create)
+      --amount-a <number>     Most --token-a to deposit (lp add, pool create)
+      --amount-b <number>     Most --token-b to deposit (lp add, pool create)
+      --token-id <id>         Position NFT to change (lp increase, decrease, collect, burn)
+      --amount0 <number>      Most of the position's token0 to add (lp increase)
+      --amount1 <number>      Most of the position's token1 to add (lp increase)
+      --percent <n>           Whole percentage of the position's liquidity to remove (lp decrease)
+      --dca-schedules <path>  DCA schedule file (default: $DCA_SCHEDULES_PATH or ${DEFAULT_DCA_PATH})
+      --journal <path>        Trade journal file (default: $JOURNAL_PATH or ${DEFAULT_JOURNAL_PATH})
+      --since <date>          Only entries from this date or ISO timestamp on (history)
+      --until <date>          Only entries up to this date or ISO timestamp (history)
+      --pnl-currency <token>  Token realised PnL is measured in (default: the network's USDC, else WETH) (history)
+      --csv <file>            Also export the listed entries as CSV (history)
+      --json                  Print the result as JSON on stdout, logs go to stderr
+  -h, --help                  Show this help`;
+
+const CLI_OPTIONS = {
+  network: { type: 'string', short: 'n' },
+  'rpc-url': { type: 'string' },
+  'token-in': { type: 'string', short: 'i' },
+  'token-out': { type: 'string', short: 'o' },
+  token: { type: 'string', short: 't', multiple: true },
+  amount: { type: 'string', short: 'a' },
+  slippage: { type: 'string', short: 's' },
+  'max-impact': { type: 'string' },
+  recipient: { type: 'string', short: 'r' },
+  deadline: { type: 'string', short: 'd' },
+  'max-hops': { type: 'string' },
+  via: { type: 'string', multiple: true },
+  'max-splits': { type: 'string' },
+  'split-step': { type: 'string' },
+  'twap-minutes': { type: 'string' },
+  'max-twap-deviation': { type: 'string' },
+  'twap-action': { type: 'string' },
+  pool: { type: 'string' },
+  cardinality: { type: 'string' },
+  address: { type: 'string' },
+  'fee-strategy': { type: 'string' },
+  'max-fee': { type: 'string' },
+  'priority-fee': { type: 'string' },
+  'speed-up-after': { type: 'string' },
+  nonce: { type: 'string' },
+  'exact-output': { type: 'boolean', default: false },
+  'no-fallback': { type: 'boolean', default: false },
+  'no-permit': { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  verify: { type: 'boolean', default: false },
+  orders: { type: 'string' },
+  'on-error': { type: 'string' },
+  price: { type: 'string' },
+  'no-watch': { type: 'boolean', default: false },
+  'cancel-order': { type: 'string' },
+  'limit-orders': { type: 'string' },
+  every: { type: 'string' },
+  start: { type: 'string' },
+  end: { type: 'string' },
+  'max-price': { type: 'string' },
+  'catch-up': { type: 'string' },
+  'cancel-schedule': { type: 'string' },
+  'dca-schedules': { type: 'string' },
+  'token-a': { type: 'string' },
+  'token-b': { type: 'string' },
+  fee: { type: 'string' },
+  'initial-price': { type: 'string' },
+  'price-lower': { type: 'string' },
+  'price-upper': { type: 'string' },
+  'amount-a': { type: 'string' },
+  'amount-b': { type: 'string' },
+  'token-id': { type: 'string' },
+  amount0: { type: 'string' },
+  amount1: { type: 'string' },
+  percent: { type: 'string' },
+  journal: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  'pnl-currency': { type: 'string' },
+  csv: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Required options for each command
+const COMMANDS = {
+  quote: ['token-in', 'token-out', 'amount'],
+  swap: ['token-in', 'token-out', 'amount'],
+  pool: ['token-in', 'token-out'],
+  'pool create': ['token-a', 'token-b', 'fee', 'initial-price'],
+  'pool inspect': [],
+  simulate: ['token-in', 'token-out', 'amount'],
+  balances: [],
+  wrap: ['amount'],
+  unwrap: ['amount'],
+  approve: ['token', 'amount'],
+  'grow-oracle': ['pool', 'cardinality'],
+  cancel: [],
+  batch: ['orders'],
+  history: [],
+  limit: ['token-in', 'token-out', 'amount', 'price'],
+  limits: [],
+  watch: [],
+  dca: ['token-in', 'token-out', 'amount', 'every'],
+  'dca-list': [],
+  'dca-run': [],
+  'lp add': ['token-a', 'token-b', 'fee', 'price-lower', 'price-upper'],
+  'lp list': [],
+  'lp increase': ['token-id'],
+  'lp decrease': ['token-id', 'percent'],
+  'lp collect': ['token-id'],
+  'lp burn': ['token-id'],
+};
+
+
+function parseAddressArg(name, value) {
+  if (!ethers.isAddress(value)) {
+    throw new UsageError(`--${name} must be a valid address, got "${value}"`);
+  }
+  return ethers.getAddress(value);
+}
+
+// Tokens can also be given by symbol from the active network's registry, or as native ETH
+function parseTokenArg(network, name, value) {
+  if (value.toUpperCase() === NATIVE_SYMBOL) {
+    if (name === 'via') {
+      throw new UsageError(`--via takes ERC-20 tokens, use WETH instead of ${NATIVE_SYMBOL}`);
+    }
+    return NATIVE_SYMBOL;
+  }
+  
+  const address = resolveTokenAddress(network, value);
+  if (!address) {
+    const symbols = Object.keys(network.tokens).join(', ') || 'none';
+    throw new UsageError(`--${name} must be an address or a known token symbol (${symbols}), got "${value}"`);
+  }
+  return address;
+}
+
+// Amounts stay strings until the token decimals are known, so only the format is checked here
+function parseAmountArg(value, name = 'amount') {
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(value) || Number(value) === 0) {
+    throw new UsageError(`--${name} must be a positive decimal number, got "${value}"`);
+  }
+  return value;
+}
+
+function parseSlippageArg(value) {
+  const bps = Number(value);
+  if (!/^\d+$/.test(value) || bps >= MAX_SLIPPAGE_BPS) {
+    throw new UsageError(`--slippage must be a whole number of basis points below ${MAX_SLIPPAGE_BPS}, got "${value}"`);
+  }
+  return bps;
+}
+
+function parseMaxImpactArg(value) {
+  const bps = Number(value);
+  if (!/^\d+$/.test(value) || bps < 1 || bps > 10000) {
+    throw new UsageError(`--max-impact must be a whole number of basis points between 1 and 10000, got "${value}"`);
+  }
+  return bps;
+}
+
+function parseDeadlineArg(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes <= 0) {
+    throw new UsageError(`--deadline must be a whole number of minutes, got "${value}"`);
+  }
+  return minutes;
+}
+
+function parseMaxHopsArg(value) {
+  const hops = Number(value);
+  if (!Number.isInteger(hops) || hops < 1 || hops > 4) {
+    throw new UsageError(`--max-hops must be a whole number between 1 and 4, got "${value}"`);
+  }
+  return hops;
+}
+
+function parseMaxSplitsArg(value) {
+  const splits = Number(value);
+  if (!Number.isInteger(splits) || splits < 1 || splits > 5) {
+    throw new UsageError(`--max-splits must be a whole number between 1 and 5, got "${value}"`);
+  }
+  return splits;
+}
+
+function parseSplitStepArg(value) {
+  const step = Number(value);
+  if (!Number.isInteger(step) || step < 1 || step > 50 || 100 % step !== 0) {
+    throw new UsageError(`--split-step must be a whole percentage that divides 100, up to 50, got "${value}"`);
+  }
+  return step;
+}
+
+function parseTwapMinutesArg(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 24 * 60) {
+    throw new UsageError(`--twap-minutes must be a whole number of minutes up to a day, got "${value}"`);
+  }
+  return minutes;
+}
+
+function parseTwapDeviationArg(value) {
+  const bps = Number(value);
+  if (!Number.isInteger(bps) || bps < 1 || bps > 5000) {
+    throw new UsageError(`--max-twap-deviation must be a whole number of basis points between 1 and 5000, got "${value}"`);
+  }
+  return bps;
+}
+
+function parseTwapActionArg(value) {
+  if (!TWAP_ACTIONS.includes(value)) {
+    throw new UsageError(`--twap-action must be one of ${TWAP_ACTIONS.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+function parseFeeTierArg(value) {
+  const fee = Number(value);
+  if (!KNOWN_FEE_TIERS.includes(fee) || !/^\d+$/.test(value)) {
+    throw new UsageError(`--fee must be one of ${KNOWN_FEE_TIERS.join(', ')}, got "${value}"`);
+  }
+  return fee;
+}
+
+function parsePercentArg(value) {
+  const percent = Number(value);
+  if (!/^\d+$/.test(value) || percent < 1 || percent > 100) {
+    throw new UsageError(`--percent must be a whole number between 1 and 100, got "${value}"`);
+  }
+  return percent;
+}
+
+function parseCardinalityArg(value) {
+  const cardinality = Number(value);
+  if (!Number.isInteger(cardinality) || cardinality < 1 || cardinality > 65535) {
+    throw new UsageError(`--cardinality must be a whole number between 1 and 65535, got "${value}"`);
+  }
+  return cardinality;
+}
+
+function parseFeeStrategyArg(value) {
+  if (!FEE_STRATEGIES[value]) {
+    throw new UsageError(`--fee-strategy must be one of ${Object.keys(FEE_STRATEGIES).join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+function parseGweiArg(name, value) {
+  const gwei = Number(value);
+  if (!/^\d+(\.\d{1,9})?$/.test(value) || !(gwei > 0)) {
+    throw new UsageError(`--${name} must be a positive amount of gwei, got "${value}"`);
+  }
+  return value;
+}
+
+function parseSpeedUpArg(value) {
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 10) {
+    throw new UsageError(`--speed-up-after must be a whole number of seconds, at least 10, got "${value}"`);
+  }
+  return seconds;
+}
+
+function parseNonceArg(value) {
+  const nonce = Number(value);
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(nonce)) {
+    throw new UsageError(`--nonce must be a whole number, got "${value}"`);
+  }
+  return nonce;
+}
+
+// Limit, max and range prices keep up to 18 decimals, the precision they are compared at
+function parsePriceArg(name, value) {
+  if (!/^(\d+\.?\d{0,18}|\.\d{1,18})$/.test(value) || Number(value) === 0) {
+    throw new UsageError(`--${name} must be a positive decimal number with at most 18 decimals, got "${value}"`);
+  }
+  return value;
+}
+
+// Id of a stored limit order, DCA schedule or position NFT
+function parseIdArg(name, value) {
+  const id = Number(value);
+  if (!/^\d+$/.test(value) || id < 1 || !Number.isSafeInteger(id)) {
+    throw new UsageError(`--${name} must be a positive whole number, got "${value}"`);
+  }
+  return id;
+}
+
+function parseIntervalArg(value) {
+  try {
+    parseInterval(value);
+  } catch (error) {
+    throw new UsageError(`--every: ${error.message}`);
+  }
+  return value;
+}
+
+function parseCatchUpArg(value) {
+  if (!CATCH_UP_POLICIES.includes(value)) {
+    throw new UsageError(`--catch-up must be one of ${CATCH_UP_POLICIES.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+function parseOnErrorArg(value) {
+  if (!BATCH_ERROR_POLICIES.includes(value)) {
+    throw new UsageError(`--on-error must be one of ${BATCH_ERROR_POLICIES.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+// One order of a batch file, with the same checks as the command line options. Fields the
+// order leaves out are not set, so the batch's own options apply to them.
+function parseOrder(network, fields) {
+  for (const name of ['tokenIn', 'tokenOut', 'amount']) {
+    if (fields[name] === undefined) {
+      throw new UsageError(`${name} is missing`);
+    }
+  }
+  if (fields.mode !== undefined && !ORDER_MODES.includes(fields.mode)) {
+    throw new UsageError(`mode must be one of ${ORDER_MODES.join(', ')}, got "${fields.mode}"`);
+  }
+
+  const order = {
+    tokenIn: parseTokenArg(network, 'token-in', fields.tokenIn),
+    tokenOut: parseTokenArg(network, 'token-out', fields.tokenOut),
+    amount: parseAmountArg(fields.amount),
+  };
+  if (fields.mode !== undefined) order.exactOutput = fields.mode === 'exact-output';
+  if (fields.slippage !== undefined) order.slippageBps = parseSlippageArg(fields.slippage);
+  if (fields.recipient !== undefined) order.recipient = parseAddressArg('recipient', fields.recipient);
+  return order;
+}
+
+// Read and check every order of a batch file, reporting all invalid orders at once
+async function loadOrders(network, path) {
+  const problems = [];
+  const orders = (await readOrderFile(path)).map((fields, index) => {
+    try {
+      return parseOrder(network, fields);
+    } catch (error) {
+      problems.push(`order ${index + 1}: ${error.message}`);
+      return null;
+    }
+  });
+
+  if (orders.length === 0) {
+    throw new UsageError(`${path} contains no orders`);
+  }
+  if (problems.length > 0) {
+    throw new UsageError(`Invalid orders in ${path}:\n  ${problems.join('\n  ')}`);
+  }
+  return orders;
+}
+
+// A date alone covers that whole day, UTC, so --until 2024-05-31 includes the 31st
+function parseDateArg(name, value) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && (name === 'until' || name === 'end') ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(`--${name} must be a date (YYYY-MM-DD) or ISO timestamp, got "${value}"`);
+  }
+  return date;
+}
+
+// Parse and validate process arguments into a command and its options
+export function parseCli(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  let [command, ...extra] = positionals;
+
+  if (values.help || !command) {
+    return { command: 'help', options: values };
+  }
+
+  // Groups such as lp take a subcommand as their second word; pool is also a command on its own
+  const subcommands = Object.keys(COMMANDS)
+    .filter((name) => name.startsWith(`${command} `))
+    .map((name) => name.slice(command.length + 1));
+  if (subcommands.includes(extra[0])) {
+    command = `${command} ${extra.shift()}`;
+  } else if (subcommands.length > 0 && !COMMANDS[command]) {
+    throw new UsageError(`${command} needs a subcommand: ${subcommands.join(', ')}`);
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (extra.length > 0) {
+    throw new UsageError(`Unexpected arguments: ${extra.join(' ')}`);
+  }
+  for (const name of COMMANDS[command]) {
+    if (values[name] === undefined) {
+      throw new UsageError(`${command} requires --${name}`);
+    }
+  }
+  if (command === 'lp add' && values['amount-a'] === undefined && values['amount-b'] === undefined) {
+    throw new UsageError('lp add requires --amount-a, --amount-b or both');
+  }
+  if (command === 'pool create' && (values['amount-a'] !== undefined || values['amount-b'] !== undefined) &&
+    (values['price-lower'] === undefined || values['price-upper'] === undefined)) {
+    throw new UsageError('pool create needs --price-lower and --price-upper to seed a position');
+  }
+  if (command === 'pool inspect' && values.pool === undefined &&
+    (values['token-a'] === undefined || values['token-b'] === undefined || values.fee === undefined)) {
+    throw new UsageError('pool inspect requires --pool, or --token-a, --token-b and --fee');
+  }
+  if (command === 'lp increase' && values.amount0 === undefined && values.amount1 === undefined) {
+    throw new UsageError('lp increase requires --amount0, --amount1 or both');
+  }
+
+  let network;
+  try {
+    network = loadNetwork(values.network || env.NETWORK || DEFAULT_NETWORK, env, values['rpc-url']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    command,
+    network,
+    options: {
+      tokenIn: values['token-in'] && parseTokenArg(network, 'token-in', values['token-in']),
+      tokenOut: values['token-out'] && parseTokenArg(network, 'token-out', values['token-out']),
+      tokens: (values.token || []).map((token) => parseTokenArg(network, 'token', token)),
+      amount: values.amount && parseAmountArg(values.amount),
+      slippageBps: values.slippage !== undefined ? parseSlippageArg(values.slippage) : DEFAULT_SLIPPAGE_BPS,
+      maxImpactBps: values['max-impact'] !== undefined ? parseMaxImpactArg(values['max-impact']) : DEFAULT_MAX_PRICE_IMPACT_BPS,
+      recipient: values.recipient && parseAddressArg('recipient', values.recipient),
+      deadlineMinutes: values.deadline !== undefined ? parseDeadlineArg(values.deadline) : DEFAULT_DEADLINE_MINUTES,
+      maxHops: values['max-hops'] !== undefined ? parseMaxHopsArg(values['max-hops']) : DEFAULT_MAX_HOPS,
+      baseTokens: values.via ? values.via.map((token) => parseTokenArg(network, 'via', token)) : network.baseTokens,
+      maxSplits: values['max-splits'] !== undefined ? parseMaxSplitsArg(values['max-splits']) : DEFAULT_MAX_SPLITS,
+      splitStep: values['split-step'] !== undefined ? parseSplitStepArg(values['split-step']) : DEFAULT_SPLIT_STEP_PERCENT,
+      twapMinutes: values['twap-minutes'] !== undefined ? parseTwapMinutesArg(values['twap-minutes']) : DEFAULT_TWAP_MINUTES,
+      maxTwapDeviationBps: values['max-twap-deviation'] !== undefined ? 
+        parseTwapDeviationArg(values['max-twap-deviation']) : DEFAULT_MAX_TWAP_DEVIATION_BPS,
+      twapAction: values['twap-action'] !== undefined ? parseTwapActionArg(values['twap-action']) : TWAP_ACTIONS[0],
+      pool: values.pool && parseAddressArg('pool', values.pool),
+      cardinality: values.cardinality && parseCardinalityArg(values.cardinality),
+      address: values.address && parseAddressArg('address', values.address),
+      nonce: values.nonce !== undefined ? parseNonceArg(values.nonce) : null,
+      exactOutput: values['exact-output'],
+      tryExactOutput: !values['no-fallback'],
+      usePermit: !values['no-permit'],
+      verify: values.verify,
+      since: values.since !== undefined ? parseDateArg('since', values.since) : null,
+      until: values.until !== undefined ? parseDateArg('until', values.until) : null,
+      pnlCurrency: values['pnl-currency'] && parseTokenArg(network, 'pnl-currency', values['pnl-currency']),
+      csv: values.csv ?? null,
+      limitPrice: values.price && parsePriceArg('price', values.price),
+      watch: !values['no-watch'],
+      cancelOrder: values['cancel-order'] !== undefined ? parseIdArg('cancel-order', values['cancel-order']) : null,
+      interval: values.every && parseIntervalArg(values.every),
+      start: values.start !== undefined ? parseDateArg('start', values.start) : null,
+      end: values.end !== undefined ? parseDateArg('end', values.end) : null,
+      maxPrice: values['max-price'] && parsePriceArg('max-price', values['max-price']),
+      catchUp: values['catch-up'] !== undefined ? parseCatchUpArg(values['catch-up']) : CATCH_UP_POLICIES[0],
+      cancelSchedule: values['cancel-schedule'] !== undefined ? parseIdArg('cancel-schedule', values['cancel-schedule']) : null,
+      tokenA: values['token-a'] && parseTokenArg(network, 'token-a', values['token-a']),
+      tokenB: values['token-b'] && parseTokenArg(network, 'token-b', values['token-b']),
+      fee: values.fee !== undefined ? parseFeeTierArg(values.fee) : null,
+      initialPrice: values['initial-price'] && parsePriceArg('initial-price', values['initial-price']),
+      priceLower: values['price-lower'] && parsePriceArg('price-lower', values['price-lower']),
+      priceUpper: values['price-upper'] && parsePriceArg('price-upper', values['price-upper']),
+      amountA: values['amount-a'] && parseAmountArg(values['amount-a'], 'amount-a'),
+      amountB: values['amount-b'] && parseAmountArg(values['amount-b'], 'amount-b'),
+      tokenId: values['token-id'] !== undefined ? parseIdArg('token-id', values['token-id']) : null,
+      amount0: values.amount0 && parseAmountArg(values.amount0, 'amount0'),
+      amount1: values.amount1 && parseAmountArg(values.amount1, 'amount1'),
+      percent: values.percent !== undefined ? parsePercentArg(values.percent) : null,
+      ordersFile: values.orders ?? null,
+      onError: values['on-error'] !== undefined ? parseOnErrorArg(values['on-error']) : BATCH_ERROR_POLICIES[0],
+      dryRun: values['dry-run'],
+      json: values.json,
+    },
+    journal: values.journal || env.JOURNAL_PATH || DEFAULT_JOURNAL_PATH,
+    limitOrders: values['limit-orders'] || env.LIMIT_ORDERS_PATH || DEFAULT_LIMIT_ORDERS_PATH,
+    dcaSchedules: values['dca-schedules'] || env.DCA_SCHEDULES_PATH || DEFAULT_DCA_PATH,
+    transactions: {
+      feeStrategy: values['fee-strategy'] !== undefined ? 
+        parseFeeStrategyArg(values['fee-strategy']) : DEFAULT_TRANSACTION_OPTIONS.feeStrategy,
+      maxFeeGwei: values['max-fee'] !== undefined ? parseGweiArg('max-fee', values['max-fee']) : null,
+      priorityFeeGwei: values['priority-fee'] !== undefined ? parseGweiArg('priority-fee', values['priority-fee']) : null,
+      speedUpAfterSeconds: values['speed-up-after'] !== undefined ? 
+        parseSpeedUpArg(values['speed-up-after']) : DEFAULT_TRANSACTION_OPTIONS.speedUpAfterSeconds,
+    },
+  };
+}
+
+// Client method behind each command
+const COMMAND_HANDLERS = {
+  quote: 'quote',
+  swap: 'swap',
+  pool: 'pool',
+  'pool create': 'createPool',
+  'pool inspect': 'inspectPool',
+  simulate: 'simulate',
+  balances: 'balances',
+  wrap: 'wrap',
+  unwrap: 'unwrap',
+  approve: 'approve',
+  'grow-oracle': 'growOracle',
+  cancel: 'cancel',
+  batch: 'batch',
+  history: 'history',
+  limit: 'limit',
+  limits: 'limits',
+  watch: 'watch',
+  dca: 'dca',
+  'dca-list': 'dcaList',
+  'dca-run': 'dcaRun',
+  'lp add': 'addLiquidity',
+  'lp list': 'listPositions',
+  'lp increase': 'increaseLiquidity',
+  'lp decrease': 'decreaseLiquidity',
+  'lp collect': 'collect',
+  'lp burn': 'burnPosition',
+};
+
+// Run the parsed command and print its result
+async function main({ command, network, options, transactions, journal, limitOrders, dcaSchedules }, env) {
+  const logger = createConsoleLogger({ json: options.json });
+  
+  // The chain id is checked explicitly below, so the provider does not need to detect it
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+  const signer = env.PRIVATE_KEY ? new ethers.Wallet(env.PRIVATE_KEY, provider) : null;
+  const client = createSwapClient({
+    provider, signer, network, logger, transactions,
+    journal: createJournal(journal),
+    limitOrders: createLimitOrderStore(limitOrders),
+    dcaSchedules: createDcaStore(dcaSchedules),
+  });
+  
+  // Order files are checked before connecting, so a typo costs no RPC calls
+  if (command === 'batch') {
+    options.orders = await loadOrders(network, options.ordersFile);
+  }
+  
+  const chainId = await verifyChainId(provider, network);
+  logger.log(`Connected to ${network.name} (chain ${chainId}) via ${network.rpcUrl}`);
+  
+  const result = await client[COMMAND_HANDLERS[command]](options);
+  
+  if (options.json) {
+    console.log(JSON.stringify(result, (key, value) => 
+      typeof value === 'bigint' ? value.toString() : value, 2));
+  } else {
+    logger.log(`Result:`, result);
+  }
+  
+  // A batch with failed orders still prints its report, then exits with its own code
+  if (command === 'batch' && !result.success) {
+    process.exitCode = EXIT_CODES.BATCH_INCOMPLETE;
+  }
+}
+
+// Exit code for each SwapError code, so scripts can tell failure modes apart; anything else exits 1
+export const EXIT_CODES = {
+  INVALID_ARGUMENT: 2,
+  MISSING_SIGNER: 2,
+  INSUFFICIENT_BALANCE: 3,
+  NO_POOL: 4,
+  QUOTE_FAILED: 5,
+  SLIPPAGE_EXCEEDED: 6,
+  APPROVAL_FAILED: 7,
+  TRANSACTION_FAILED: 8,
+  TRANSACTION_REVERTED: 8,
+  TRANSACTION_TIMEOUT: 8,
+  NONCE_USED: 8,
+  RPC_ERROR: 9,
+  BATCH_INCOMPLETE: 10,
+};
+
+// Messages along an error's cause chain, outermost first
+function causeChain(error) {
+  const messages = [];
+  for (let cause = error.cause; cause && messages.length < 10; cause = cause.cause) {
+    messages.push(cause.shortMessage || cause.message || String(cause));
+  }
+  return messages;
+}
+
+// Report a failed command on stderr, or as a JSON result on stdout with --json
+function reportFailure(error, json) {
+  if (json) {
+    console.log(JSON.stringify({
+      success: false,
+      error: {
+        name: error.name,
+        code: error.code ?? null,
+        message: error.message,
+        revert: error.revert ?? null,
+        transactionHash: error.transactionHash ?? null,
+        causes: causeChain(error),
+      },
+    }, null, 2));
+    return;
+  }
+  console.error(`${error.name} [${error.code}]: ${error.message}`);
+  for (const message of causeChain(error)) {
+    console.error(`  caused by: ${message}`);
+  }
+  if (error.revert) {
+    console.error(`  suggestion: ${error.revert.suggestion}`);
+  }
+}
+
+// Parse arguments, run the command and exit: 0 on success, 2 on bad input, EXIT_CODES for
+// typed failures and 1 for anything else
+export async function runCli(argv, env = process.env) {
+  let cli;
+  try {
+    cli = parseCli(argv, env);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  
+  if (cli.command === 'help') {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  
+  try {
+    await main(cli, env);
+  } catch (caught) {
+    const error = classifyError(caught, (cause) => cause);
+    if (error instanceof MissingSignerError) {
+      console.error(`PRIVATE_KEY must be set in the environment or .env for this command\n\n${USAGE}`);
+      process.exit(2);
+    }
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    if (!(error instanceof SwapError)) {
+      console.error('Script failed:', error);
+      process.exit(1);
+    }
+    reportFailure(error, cli.options.json);
+    process.exit(EXIT_CODES[error.code] ?? 1);
+  }
+}
@@ -0,0 +1,2320 @@
+import { ethers } from 'ethers';
+import { FACTORY_ABI, QUOTER_ABI, SWAP_ROUTER_ABI, POOL_ABI, TOKEN_ABI } from './abis.js';
+import { explorerTxUrl } from './networks.js';
+import { KNOWN_FEE_TIERS, DEFAULT_MAX_HOPS, findRoutes, describeRoute, findBestSplit, encodeReversePath } from './routing.js';
+import { detectPermit, signPermit } from './permit.js';
+import { loadPoolState, simulateExactInput, simulateExactOutput } from './simulator.js';
+import { minimumAmountOut, maximumAmountIn, priceImpactBps, realisedSlippageBps } from './slippage.js';
+import { decodeSwapReceipt, effectivePrice } from './receipts.js';
+import { explainRevert, isSlippageRevert } from './reverts.js';
+import { tokenStateOverride, callWithOverrides } from './overrides.js';
+import { readPoolTicks, syntheticTick, bpsToTicks, scaleByTicks } from './oracle.js';
+import {
+  UsageError,
+  MissingSignerError,
+  InsufficientBalanceError,
+  NoPoolError,
+  QuoteFailedError,
+  SlippageExceededError,
+  ApprovalError,
+  TransactionError,
+  RpcError,
+  classifyError,
+} from './errors.js';
+import { silentLogger } from './logger.js';
+import { createTransactionManager } from './transactions.js';
+import { exportCsv, realisedPnl } from './journal.js';
+import { BATCH_ERROR_POLICIES, createBatchRunner } from './batch.js';
+import { createLimitOrderRunner } from './limits.js';
+import { CATCH_UP_POLICIES, createDcaRunner } from './dca.js';
+import { createLiquidityRunner } from './liquidity.js';
+import { createDepthRunner } from './depth.js';
+
+// ========================
+// CONFIGURATION CONSTANTS
+// ========================
+// Defaults for options that callers and the command line can override
+export const DEFAULT_SLIPPAGE_BPS = 500; // 5% slippage tolerance
+export const DEFAULT_DEADLINE_MINUTES = 10;
+export const MAX_SLIPPAGE_BPS = 5000;
+export const DEFAULT_MAX_PRICE_IMPACT_BPS = 500; // Swaps moving the price further are refused
+export const DEFAULT_MAX_SPLITS = 3;
+export const NATIVE_SYMBOL = 'ETH'; // Accepted as a token on either side of a swap
+export const DEFAULT_SPLIT_STEP_PERCENT = 10;
+export const DEFAULT_TWAP_MINUTES = 0; // TWAP guard is off unless a window is given
+export const DEFAULT_MAX_TWAP_DEVIATION_BPS = 100;
+export const TWAP_ACTIONS = ['reject', 'tighten'];
+export const SIMULATION_CURVE_PERCENTS = [10, 25, 50, 100, 200, 500]; // Order sizes, relative to --amount, for the price-impact curve
+
+/**
+ * @typedef {object} TokenInfo
+ * @property {number} chainId
+ * @property {string} address ERC-20 address, WETH9 for native ETH
+ * @property {number} decimals
+ * @property {string} symbol
+ * @property {string} name
+ * @property {boolean} isToken
+ * @property {boolean} isNative True for plain ETH paid or received as msg.value
+ */
+
+/**
+ * @typedef {object} Logger
+ * @property {(message: string, data?: any) => void} log
+ * @property {(message: string, error?: Error) => void} error
+ */
+
+/**
+ * @typedef {object} SwapOptions
+ * Amounts are decimal strings in human units; tokens are addresses or NATIVE_SYMBOL.
+ * Every field but tokenIn, tokenOut and amount has a default in DEFAULT_SWAP_OPTIONS.
+ * @property {string} tokenIn
+ * @property {string} tokenOut
+ * @property {string} amount Input amount, or the output amount with exactOutput
+ * @property {boolean} [exactOutput]
+ * @property {number} [slippageBps]
+ * @property {number} [maxImpactBps]
+ * @property {string} [recipient]
+ * @property {number} [deadlineMinutes]
+ * @property {number} [maxHops]
+ * @property {string[]} [baseTokens] Defaults to the network's base tokens
+ * @property {number} [maxSplits]
+ * @property {number} [splitStep]
+ * @property {number} [twapMinutes]
+ * @property {number} [maxTwapDeviationBps]
+ * @property {'reject'|'tighten'} [twapAction]
+ * @property {boolean} [tryExactOutput]
+ * @property {boolean} [usePermit]
+ * @property {boolean} [dryRun] Simulate with eth_call and return the calldata instead of sending
+ * @property {string} [address] Address a dry run simulates from when the client has no signer
+ * @property {string} [minAmountOut] Hard minimum output in human units, e.g. a limit order's price (exact input only)
+ */
+
+/**
+ * @typedef {object} SwapResult
+ * @property {boolean} success
+ * @property {string} txHash
+ * @property {string} tokenIn
+ * @property {string} tokenOut
+ * @property {string} recipient
+ * @property {string} route Human readable route or split
+ * @property {string|string[]} path Packed path, one per leg for splits
+ * @property {string} amountIn Amount spent, in human units, read from the receipt
+ * @property {string} amountOut Amount received, in human units, read from the receipt
+ * @property {string} effectivePrice tokenOut per tokenIn actually paid
+ * @property {string} quotedPrice tokenOut per tokenIn of the quote
+ * @property {number} slippageBps Executed price against the quote, negative when better
+ * @property {{ address: string, tick: number, sqrtPriceX96: string }[]} pools Pool prices after the swap
+ * @property {string} gasUsed
+ * @property {string} gasPrice Effective gas price in gwei
+ * @property {string} feeEth Gas fee paid, in ETH
+ * @property {string} method Router function used
+ */
+
+// Option defaults for the swap pipeline, merged under whatever the caller passes
+export const DEFAULT_SWAP_OPTIONS = {
+  exactOutput: false,
+  slippageBps: DEFAULT_SLIPPAGE_BPS,
+  maxImpactBps: DEFAULT_MAX_PRICE_IMPACT_BPS,
+  recipient: null,
+  deadlineMinutes: DEFAULT_DEADLINE_MINUTES,
+  maxHops: DEFAULT_MAX_HOPS,
+  maxSplits: DEFAULT_MAX_SPLITS,
+  splitStep: DEFAULT_SPLIT_STEP_PERCENT,
+  twapMinutes: DEFAULT_TWAP_MINUTES,
+  maxTwapDeviationBps: DEFAULT_MAX_TWAP_DEVIATION_BPS,
+  twapAction: TWAP_ACTIONS[0],
+  tryExactOutput: true,
+  usePermit: true,
+  tokens: [],
+  verify: false,
+  dryRun: false,
+  onError: BATCH_ERROR_POLICIES[0],
+  watch: true,
+  catchUp: CATCH_UP_POLICIES[0],
+};
+
+// ========================
+// SWAP CLIENT
+// ========================
+
+/**
+ * Create a client for one network. Nothing is read or sent until a method is called.
+ *
+ * @param {object} config
+ * @param {ethers.Provider} config.provider Provider for `network`; the caller checks its chain id
+ * @param {ethers.Signer|null} [config.signer] Wallet for methods that send transactions
+ * @param {object} config.network Network profile from loadNetwork
+ * @param {Logger} [config.logger] Receives progress and error logs, silent by default
+ * @param {object} [config.transactions] Fee strategy, caps and speed-up timing, see DEFAULT_TRANSACTION_OPTIONS
+ * @param {object|null} [config.journal] Trade journal from createJournal; nothing is recorded without one
+ * @param {object|null} [config.limitOrders] Limit order store from createLimitOrderStore, needed by limit, limits and watch
+ * @param {object|null} [config.dcaSchedules] Schedule store from createDcaStore, needed by dca, dcaList and dcaRun
+ */
+export function createSwapClient({
+  provider, signer = null, network, logger = silentLogger, transactions = {}, journal = null, limitOrders = null, dcaSchedules = null
+}) {
+  // Contract Addresses
+  const POOL_FACTORY_CONTRACT_ADDRESS = network.contracts.factory;
+  const QUOTER_CONTRACT_ADDRESS = network.contracts.quoter;
+  const SWAP_ROUTER_CONTRACT_ADDRESS = network.contracts.swapRouter;
+  
+  // Chain ID
+  const CHAIN_ID = network.chainId;
+  
+  const factoryContract = new ethers.Contract(POOL_FACTORY_CONTRACT_ADDRESS, FACTORY_ABI, provider);
+  const quoterContract = new ethers.Contract(QUOTER_CONTRACT_ADDRESS, QUOTER_ABI, provider);
+  
+  // Explorer link for a transaction hash
+  function txUrl(hash) {
+    return explorerTxUrl(network, hash);
+  }
+  
+  // Methods that send transactions need a wallet
+  function requireSigner() {
+    if (!signer) {
+      throw new MissingSignerError('This operation needs a signer');
+    }
+    return signer;
+  }
+  
+  // One manager for every transaction the client sends, so back-to-back nonces are tracked together
+  let transactionManager = null;
+
+  function getTransactionManager() {
+    if (!transactionManager) {
+      transactionManager = createTransactionManager({ provider, signer: requireSigner(), txUrl, logger, options: transactions });
+    }
+    return transactionManager;
+  }
+
+  // Estimate, price, send and wait for a populated transaction
+  function sendTransaction(transaction, label) {
+    return getTransactionManager().send(transaction, label);
+  }
+  
+  function log(message, data = null) {
+    logger.log(message, data);
+  }
+  
+  function logError(message, error) {
+    logger.error(message, error);
+  }
+  
+  // Append to the trade journal. A failed write is logged but never fails the trade itself.
+  async function record(type, entry) {
+    if (!journal) return;
+    try {
+      await journal.record({ timestamp: new Date().toISOString(), network: network.name, chainId: CHAIN_ID, type, ...entry });
+    } catch (error) {
+      logError('Could not write the trade journal', error);
+    }
+  }
+
+  // Token as stored in the journal; before its info was fetched, only what the caller passed is known
+  function journalToken(tokenInfo, given) {
+    return tokenInfo ? 
+      { address: tokenInfo.address, symbol: tokenInfo.symbol, decimals: tokenInfo.decimals } : 
+      { address: given, symbol: given, decimals: null };
+  }
+
+  // Record a swap attempt from its result, or from { error } when it failed, and pass the result on
+  async function recordSwap(options, tokenIn, tokenOut, outcome) {
+    const { error = null } = outcome;
+    await record('swap', {
+      status: error ? 'failed' : options.dryRun ? 'dry-run' : 'success',
+      dryRun: options.dryRun,
+      txHash: error ? error.transactionHash ?? null : outcome.txHash ?? null,
+      tokenIn: journalToken(tokenIn, options.tokenIn),
+      tokenOut: journalToken(tokenOut, options.tokenOut),
+      exactOutput: options.exactOutput,
+      // A failed attempt only has the requested amount
+      amountIn: error ? (options.exactOutput ? null : options.amount) : outcome.amountIn,
+      amountOut: error ? (options.exactOutput ? options.amount : null) : outcome.amountOut,
+      quotedAmountIn: outcome.quotedAmountIn,
+      quotedAmountOut: outcome.quotedAmountOut,
+      quotedPrice: outcome.quotedPrice,
+      effectivePrice: outcome.effectivePrice,
+      slippageBps: outcome.slippageBps,
+      route: outcome.route,
+      method: outcome.method,
+      gasUsed: outcome.gasUsed ?? outcome.gasEstimate,
+      gasPrice: outcome.gasPrice,
+      feeEth: outcome.feeEth ?? outcome.estimatedFeeEth,
+      error: error ? { code: error.code ?? null, message: error.message } : undefined
+    });
+    return outcome;
+  }
+
+  // A price guard that refused the swap before anything was sent. No swap was attempted, so the
+  // journal gets no failed entry; a limit order below its price would otherwise add one every block.
+  function refusedBeforeSending(error) {
+    return error instanceof SlippageExceededError && error.guard !== 'onChain';
+  }
+
+  // Fill in defaults for options the caller left out
+  function withDefaults(options) {
+    return { ...DEFAULT_SWAP_OPTIONS, baseTokens: network.baseTokens, ...options };
+  }
+  
+  function insufficientBalance(tokenInfo, balance, required) {
+    return new InsufficientBalanceError(
+      `Insufficient ${tokenInfo.symbol} balance: ${formatBigInt(balance, tokenInfo.decimals)} < ${formatBigInt(required, tokenInfo.decimals)}`,
+      { token: tokenInfo.address, balance, required }
+    );
+  }
+  
+  // Format BigInt for display
+  function formatBigInt(value, decimals) {
+    return ethers.formatUnits(value, decimals);
+  }
+
+  // ========================
+  // TOKEN INFO HELPERS
+  // ========================
+
+  // WETH9 address used by the swap router, read once
+  let wethAddress = null;
+
+  async function getWethAddress() {
+    if (wethAddress === null) {
+      const swapRouter = new ethers.Contract(SWAP_ROUTER_CONTRACT_ADDRESS, SWAP_ROUTER_ABI, provider);
+      wethAddress = await swapRouter.WETH9();
+    }
+    return wethAddress;
+  }
+
+  // Native ETH routes through WETH9 but is paid and received as plain ETH
+  async function fetchNativeTokenInfo() {
+    return {
+      chainId: CHAIN_ID,
+      address: await getWethAddress(),
+      decimals: 18,
+      symbol: NATIVE_SYMBOL,
+      name: 'Ether',
+      isToken: false,
+      isNative: true,
+    };
+  }
+
+  // Fetch token information
+  async function fetchTokenInfo(tokenAddress) {
+    if (tokenAddress === NATIVE_SYMBOL) {
+      return fetchNativeTokenInfo();
+    }
+
+    try {
+      log(`Fetching token info for address: ${tokenAddress}`);
+
+      const tokenContract = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+
+      // Fetch token details
+      const [symbol, name, decimals] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.name(),
+        tokenContract.decimals()
+      ]);
+
+      const tokenInfo = {
+        chainId: CHAIN_ID,
+        address: tokenAddress,
+        decimals: Number(decimals),
+        symbol: symbol,
+        name: name,
+        isToken: true,
+        isNative: false,
+      };
+
+      log(`Token info retrieved:`, tokenInfo);
+
+      return tokenInfo;
+    } catch (error) {
+      logError(`Error fetching token info for ${tokenAddress}`, error);
+      throw classifyError(error, (cause) => new UsageError(`Failed to retrieve token info for ${tokenAddress}, is it an ERC-20 token?`, { cause }));
+    }
+  }
+
+  // ETH and WETH are the same pool token, so swapping between them is a wrap or unwrap
+  function assertDistinctTokens(tokenIn, tokenOut) {
+    if (tokenIn.address.toLowerCase() === tokenOut.address.toLowerCase()) {
+      throw new UsageError(`Cannot swap ${tokenIn.symbol} for ${tokenOut.symbol}, use the wrap or unwrap command instead`);
+    }
+  }
+
+  // ========================
+  // BALANCE CHECKING FUNCTIONS
+  // ========================
+
+  // Balance of a token, or the plain ETH balance for native ETH
+  async function tokenBalance(tokenInfo, address) {
+    if (tokenInfo.isNative) {
+      return provider.getBalance(address);
+    }
+    const tokenContract = new ethers.Contract(tokenInfo.address, TOKEN_ABI, provider);
+    return tokenContract.balanceOf(address);
+  }
+
+  // Check all relevant token balances
+  async function logBalances(wallet, tokenIn, tokenOut) {
+    try {
+      log(`Checking wallet balances for ${wallet.address}...`);
+
+      const [tokenInBalance, tokenOutBalance, ethBalance] = await Promise.all([
+        tokenBalance(tokenIn, wallet.address),
+        tokenBalance(tokenOut, wallet.address),
+        provider.getBalance(wallet.address),
+      ]);
+
+      const balances = {
+        ETH: formatBigInt(ethBalance, 18),
+        [tokenIn.symbol]: formatBigInt(tokenInBalance, tokenIn.decimals),
+        [tokenOut.symbol]: formatBigInt(tokenOutBalance, tokenOut.decimals)
+      };
+
+      log(`Wallet Balances for ${wallet.address}:`, balances);
+      return { tokenInBalance, tokenOutBalance, ethBalance };
+    } catch (error) {
+      logError('Error fetching balances', error);
+      throw classifyError(error, (cause) => new RpcError('Failed to check balances', { cause }));
+    }
+  }
+
+  // ETH and token balances of any address, keyed by symbol
+  async function getBalances(address, tokens) {
+    try {
+      log(`Checking balances for ${address}...`);
+
+      const [ethBalance, ...tokenBalances] = await Promise.all([
+        provider.getBalance(address),
+        ...tokens.map((token) => tokenBalance(token, address)),
+      ]);
+
+      const balances = { ETH: formatBigInt(ethBalance, 18) };
+      tokens.forEach((token, index) => {
+        balances[token.symbol] = formatBigInt(tokenBalances[index], token.decimals);
+      });
+
+      return balances;
+    } catch (error) {
+      logError('Error fetching balances', error);
+      throw classifyError(error, (cause) => new RpcError('Failed to check balances', { cause }));
+    }
+  }
+
+  // ========================
+  // TOKEN WRAPPING FUNCTIONS
+  // ========================
+
+  // Wrap ETH to WETH (only needed for WETH tokens)
+  async function wrapEthToWeth(wallet, ethAmount, wethAddress) {
+    try {
+      log(`Wrapping ${ethAmount} ETH to WETH...`);
+
+      const wethContract = new ethers.Contract(wethAddress, TOKEN_ABI, wallet);
+      const ethToWrap = ethers.parseEther(ethAmount.toString());
+
+      // Check ETH balance
+      const ethBalance = await provider.getBalance(wallet.address);
+      log(`Current ETH balance: ${formatBigInt(ethBalance, 18)} ETH`);
+
+      if (ethBalance < ethToWrap) {
+        throw insufficientBalance({ symbol: 'ETH', address: null, decimals: 18 }, ethBalance, ethToWrap);
+      }
+
+      // Deposit ETH to get WETH
+      const depositTx = await wethContract.deposit.populateTransaction({
+        value: ethToWrap,
+      });
+
+      log(`Wrapping ${formatBigInt(ethToWrap, 18)} ETH to WETH...`);
+      const receipt = await sendTransaction(depositTx, 'Wrap');
+
+      // Log new WETH balance
+      const wethBalance = await wethContract.balanceOf(wallet.address);
+      log(`New WETH Balance: ${formatBigInt(wethBalance, 18)} WETH`);
+
+      return receipt;
+    } catch (error) {
+      logError('Error wrapping ETH to WETH', error);
+      throw classifyError(error, (cause) => new TransactionError('ETH wrapping failed', { cause }));
+    }
+  }
+
+  // Unwrap WETH back to ETH
+  async function unwrapWethToEth(wallet, wethAmount, wethAddress) {
+    try {
+      log(`Unwrapping ${wethAmount} WETH to ETH...`);
+
+      const wethContract = new ethers.Contract(wethAddress, TOKEN_ABI, wallet);
+      const wethToUnwrap = ethers.parseEther(wethAmount.toString());
+
+      // Check WETH balance
+      const wethBalance = await wethContract.balanceOf(wallet.address);
+      log(`Current WETH balance: ${formatBigInt(wethBalance, 18)} WETH`);
+
+      if (wethBalance < wethToUnwrap) {
+        throw insufficientBalance({ symbol: 'WETH', address: wethAddress, decimals: 18 }, wethBalance, wethToUnwrap);
+      }
+
+      // Withdraw WETH to get ETH
+      const withdrawTx = await wethContract.withdraw.populateTransaction(wethToUnwrap);
+
+      const receipt = await sendTransaction(withdrawTx, 'Unwrap');
+
+      // Log new ETH balance
+      const ethBalance = await provider.getBalance(wallet.address);
+      log(`New ETH Balance: ${formatBigInt(ethBalance, 18)} ETH`);
+
+      return receipt;
+    } catch (error) {
+      logError('Error unwrapping WETH to ETH', error);
+      throw classifyError(error, (cause) => new TransactionError('WETH unwrapping failed', { cause }));
+    }
+  }
+
+  // ========================
+  // TOKEN APPROVAL FUNCTIONS
+  // ========================
+
+  // Check token balance
+  async function checkBalance(tokenInfo, wallet) {
+    try {
+      const balance = await tokenBalance(tokenInfo, wallet.address);
+      log(`${tokenInfo.symbol} Balance: ${formatBigInt(balance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+      return balance;
+    } catch (error) {
+      logError(`Error checking ${tokenInfo.symbol} balance`, error);
+      throw classifyError(error, (cause) => new RpcError(`Failed to check ${tokenInfo.symbol} balance`, { cause }));
+    }
+  }
+
+  // Approve token spending by the swap router, or by `spender` such as the position manager. A batch
+  // approves before earlier orders deliver what later ones spend, so it skips the balance check
+  // with requireBalance = false.
+  async function approveToken(tokenInfo, amount, wallet, { requireBalance = true, spender = SWAP_ROUTER_CONTRACT_ADDRESS } = {}) {
+    try {
+      log(`Approving ${formatBigInt(amount, tokenInfo.decimals)} ${tokenInfo.symbol} for spending...`);
+
+      const tokenContract = new ethers.Contract(tokenInfo.address, TOKEN_ABI, wallet);
+
+      // Check balance first
+      const balance = await checkBalance(tokenInfo, wallet);
+
+      if (requireBalance && balance < amount) {
+        throw insufficientBalance(tokenInfo, balance, amount);
+      }
+
+      // Native ETH is sent as msg.value, there is nothing to approve
+      if (tokenInfo.isNative) {
+        log(`${tokenInfo.symbol} is sent with the swap, no approval needed`);
+        return { success: true, message: "Native ETH needs no approval" };
+      }
+
+      // Check current allowance
+      const allowance = await tokenContract.allowance(wallet.address, spender);
+      log(`Current allowance: ${formatBigInt(allowance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+
+      if (allowance >= amount) {
+        log(`Sufficient allowance already exists for ${tokenInfo.symbol}`);
+        return { success: true, message: "Already approved" };
+      }
+
+      // Approve tokens
+      const approveTransaction = await tokenContract.approve.populateTransaction(
+        spender,
+        amount
+      );
+
+      const receipt = await sendTransaction(approveTransaction, 'Approval');
+
+      // Verify new allowance
+      const newAllowance = await tokenContract.allowance(wallet.address, spender);
+      log(`New allowance: ${formatBigInt(newAllowance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+
+      await record('approval', {
+        status: 'success',
+        method: 'approve',
+        txHash: receipt.hash,
+        token: journalToken(tokenInfo),
+        amount: formatBigInt(amount, tokenInfo.decimals),
+        gasUsed: receipt.gasUsed.toString(),
+        gasPrice: ethers.formatUnits(receipt.gasPrice, 'gwei'),
+        feeEth: formatBigInt(receipt.gasUsed * receipt.gasPrice, 18)
+      });
+
+      return { success: true, txHash: receipt.hash };
+    } catch (error) {
+      logError('Error during token approval', error);
+      await record('approval', {
+        status: 'failed',
+        method: 'approve',
+        txHash: error.transactionHash ?? null,
+        token: journalToken(tokenInfo),
+        amount: formatBigInt(amount, tokenInfo.decimals),
+        error: { code: error.code ?? null, message: error.message }
+      });
+      throw classifyError(error, (cause) => new ApprovalError(`Approving ${tokenInfo.symbol} failed`, { cause, token: tokenInfo.address }));
+    }
+  }
+
+  // Sign a permit letting the router spend `amount`, or return null when the token has no usable permit
+  async function preparePermit(tokenInfo, amount, wallet, deadline) {
+    try {
+      const permitInfo = await detectPermit(provider, tokenInfo.address, CHAIN_ID);
+      if (!permitInfo) {
+        log(`${tokenInfo.symbol} does not support permits`);
+        return null;
+      }
+
+      log(`Signing ${permitInfo.kind === 'dai' ? 'DAI-style' : 'EIP-2612'} permit for ${tokenInfo.symbol}...`);
+      const permit = await signPermit(wallet, tokenInfo.address, permitInfo, SWAP_ROUTER_CONTRACT_ADDRESS, amount, deadline);
+      if (!permit) {
+        log(`${tokenInfo.symbol} rejected the permit signature`);
+        return null;
+      }
+
+      log(`Permit signed, it is redeemed in the swap transaction:`, {
+        kind: permit.kind,
+        value: permit.value === ethers.MaxUint256 ? 'unlimited' : formatBigInt(permit.value, tokenInfo.decimals),
+        deadline: new Date(Number(permit.deadline) * 1000).toISOString()
+      });
+      await record('approval', {
+        status: 'signed',
+        method: `${permit.kind} permit`,
+        txHash: null,
+        token: journalToken(tokenInfo),
+        amount: permit.value === ethers.MaxUint256 ? 'unlimited' : formatBigInt(permit.value, tokenInfo.decimals)
+      });
+      return permit;
+    } catch (error) {
+      logError(`Error signing permit for ${tokenInfo.symbol}`, error);
+      return null;
+    }
+  }
+
+  // Make sure the router may spend `amount` of the input token. Tokens supporting EIP-2612 or
+  // DAI-style permits get a signed permit to bundle with the swap instead of an approve transaction.
+  // Returns that permit, or null when no permit is needed or the token was approved on-chain.
+  async function authorizeSpending(tokenInfo, amount, wallet, deadline, usePermit) {
+    if (usePermit && !tokenInfo.isNative) {
+      const tokenContract = new ethers.Contract(tokenInfo.address, TOKEN_ABI, provider);
+      const allowance = await tokenContract.allowance(wallet.address, SWAP_ROUTER_CONTRACT_ADDRESS);
+
+      if (allowance < amount) {
+        const balance = await checkBalance(tokenInfo, wallet);
+        if (balance < amount) {
+          throw insufficientBalance(tokenInfo, balance, amount);
+        }
+
+        const permit = await preparePermit(tokenInfo, amount, wallet, deadline);
+        if (permit) return permit;
+        log(`Falling back to an approve transaction`);
+      }
+    }
+
+    await approveToken(tokenInfo, amount, wallet);
+    return null;
+  }
+
+  // ========================
+  // POOL VERIFICATION FUNCTIONS
+  // ========================
+
+  // Get and verify pool information for the direct pool that gives the best output for amountIn
+  async function getPoolInfo(tokenIn, tokenOut, amountIn) {
+    try {
+      log(`Checking pools for ${tokenIn.symbol}/${tokenOut.symbol}...`);
+
+      // Quote every pool of every enabled fee tier and keep the best one
+      const bestPool = await findBestRoute(tokenIn, tokenOut, amountIn, { maxHops: 1, baseTokens: [] });
+      const poolAddress = bestPool.pools[0];
+
+      log(`Best pool: ${poolAddress} (fee ${bestPool.fees[0]})`);
+
+      // Get pool details
+      const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
+
+      log(`Getting pool details for ${poolAddress}...`);
+
+      const [token0, token1, fee, liquidity, slot0] = await Promise.all([
+        poolContract.token0(),
+        poolContract.token1(),
+        poolContract.fee(),
+        poolContract.liquidity(),
+        poolContract.slot0()
+      ]);
+
+      // Determine token ordering in the pool
+      const tokenInIsToken0 = token0.toLowerCase() === tokenIn.address.toLowerCase();
+
+      const poolInfo = {
+        address: poolAddress,
+        token0,
+        token1,
+        fee: Number(fee),
+        liquidity: liquidity.toString(),
+        currentSqrtPrice: slot0.sqrtPriceX96.toString(),
+        currentTick: Number(slot0.tick),
+        tokenOrdering: tokenInIsToken0 ? 
+          `${tokenIn.symbol} is token0, ${tokenOut.symbol} is token1` : 
+          `${tokenOut.symbol} is token0, ${tokenIn.symbol} is token1`
+      };
+
+      log(`Pool Details:`, poolInfo);
+
+      // Check if pool has liquidity
+      if (liquidity.toString() === '0') {
+        log(`WARNING: Pool has ZERO liquidity! Swap may fail.`);
+      } else {
+        log(`Pool has liquidity: ${liquidity.toString()}`);
+      }
+
+      return { address: poolAddress, poolContract, token0, token1, fee, liquidity, slot0, tokenInIsToken0, candidates: bestPool.candidates };
+    } catch (error) {
+      logError('Error retrieving pool information', error);
+      throw error;
+    }
+  }
+
+  // ========================
+  // QUOTING FUNCTIONS
+  // ========================
+
+  // Get quote for swap. Params with a `path` are quoted as a multi-hop exactInput.
+  async function getQuote(quoterContract, params, tokenOut) {
+    try {
+      log(`Getting quote for swap...`, params);
+
+      const quotedResult = params.path ? 
+        await quoterContract.quoteExactInput.staticCall(params.path, params.amountIn) : 
+        await quoterContract.quoteExactInputSingle.staticCall(params);
+
+      // Safely handle BigInt in the result
+      const amountOut = quotedResult.amountOut;
+      const gasEstimate = quotedResult.gasEstimate;
+      // Pool prices after the swap, one per hop
+      const sqrtPriceX96AfterList = params.path ? [...quotedResult.sqrtPriceX96AfterList] : [quotedResult.sqrtPriceX96After];
+
+      log(`Quote received: ${formatBigInt(amountOut, tokenOut.decimals)} ${tokenOut.symbol} (gas estimate ${gasEstimate})`);
+
+      return { amountOut, gasEstimate, sqrtPriceX96AfterList };
+    } catch (error) {
+      logError('Error getting quote', error);
+
+      // If error contains revert data, try to decode it
+      if (error.data) {
+        log(`Error data: ${error.data}`);
+      }
+
+      throw classifyError(error, (cause) => 
+        new QuoteFailedError(`Failed to get quote for swap: ${error.reason || error.shortMessage || error.message}`, { cause }));
+    }
+  }
+
+  // Quote the input a route needs to deliver exactly amountOut. The Quoter takes the path from
+  // tokenOut back to tokenIn and lists the prices after the swap in that order.
+  async function getExactOutputQuote(quoterContract, route, amountOut, tokenIn) {
+    try {
+      log(`Getting exact output quote for ${route.description || route.path}...`, { amountOut });
+
+      const quotedResult = await quoterContract.quoteExactOutput.staticCall(
+        encodeReversePath(route.tokens, route.fees), amountOut
+      );
+
+      const amountIn = quotedResult.amountIn;
+      const gasEstimate = quotedResult.gasEstimate;
+      const sqrtPriceX96AfterList = [...quotedResult.sqrtPriceX96AfterList].reverse();
+
+      log(`Quote received: ${formatBigInt(amountIn, tokenIn.decimals)} ${tokenIn.symbol} needed (gas estimate ${gasEstimate})`);
+
+      return { amountIn, gasEstimate, sqrtPriceX96AfterList };
+    } catch (error) {
+      logError('Error getting exact output quote', error);
+      throw classifyError(error, (cause) => 
+        new QuoteFailedError(`Failed to get exact output quote: ${error.reason || error.shortMessage || error.message}`, { cause }));
+    }
+  }
+
+  // Try exactOutputSingle swap
+  async function tryExactOutputSwap(quoterContract, swapRouter, poolInfo, amountOut, tokenIn, tokenOut, signer, options) {
+    try {
+      log(`Trying exactOutputSingle swap instead...`);
+
+      // Get quote for exact output
+      log(`Getting quote for exactOutputSingle...`);
+      const quoteParams = {
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        fee: poolInfo.fee,
+        amount: amountOut,
+        sqrtPriceLimitX96: BigInt(0)
+      };
+
+      const quotedResult = await quoterContract.quoteExactOutputSingle.staticCall(quoteParams);
+      const amountInMaximum = quotedResult[0];
+
+      // Add slippage to max input amount
+      const adjustedAmountInMaximum = maximumAmountIn(amountInMaximum, options.slippageBps);
+
+      log(`Quote for exactOutputSingle:`, {
+        amountOut: formatBigInt(amountOut, tokenOut.decimals),
+        amountInMaximum: formatBigInt(amountInMaximum, tokenIn.decimals),
+        adjustedAmountInMaximum: formatBigInt(adjustedAmountInMaximum, tokenIn.decimals)
+      });
+
+      // Prepare swap parameters
+      const swapParams = {
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        fee: poolInfo.fee,
+        recipient: options.recipient,
+        deadline: options.deadline,
+        amountOut: amountOut,
+        amountInMaximum: adjustedAmountInMaximum,
+        sqrtPriceLimitX96: BigInt(0),
+        nativeIn: tokenIn.isNative,
+        nativeOut: tokenOut.isNative
+      };
+
+      log(`Preparing exactOutputSingle transaction...`);
+
+      // The permit signed for the exactInput attempt is still unused if it covers the maximum input,
+      // otherwise approve enough tokens
+      if (options.permit && options.permit.value >= adjustedAmountInMaximum) {
+        swapParams.permit = options.permit;
+      } else {
+        await approveToken(tokenIn, adjustedAmountInMaximum, signer);
+      }
+
+      // Populate transaction
+      const transaction = await populateWithDeadline(
+        swapRouter, buildSwapCalls('exactOutputSingle', swapParams), swapParams.deadline, swapValue(swapParams)
+      );
+
+      log(`Sending exactOutputSingle transaction...`);
+      return await sendTransaction(transaction, 'ExactOutputSingle');
+    } catch (error) {
+      logError('ExactOutputSingle swap failed', error);
+      const revert = await logRevert('ExactOutputSingle swap', error);
+      throw swapFailure('ExactOutputSingle swap failed', error, revert);
+    }
+  }
+
+  // ========================
+  // SWAP EXECUTION FUNCTIONS
+  // ========================
+
+  // SwapRouter02 recipient placeholder for the router itself (Constants.ADDRESS_THIS)
+  const ROUTER_ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+
+  // Router calls making up a swap, as [functionName, args] pairs.
+  // Split legs leave their output in the router and a single sweepToken enforces the combined minimum.
+  // With nativeOut the output is left in the router as WETH and unwrapWETH9 pays the recipient in ETH;
+  // with nativeIn the swap is paid with msg.value and refundETH returns whatever was not spent.
+  // A signed permit is redeemed first so the router can pull the input tokens, and an oracle
+  // check runs before the swap moves the price.
+  function buildSwapCalls(method, params) {
+    const { deadline, nativeIn, nativeOut, permit, oracleCheck, ...callParams } = params;
+    const calls = [];
+
+    if (permit) {
+      calls.push(permit.call);
+    }
+    if (oracleCheck) {
+      calls.push(oracleCheck);
+    }
+
+    if (method === 'split') {
+      calls.push(...params.legs.map((leg) => ['exactInput', [{
+        path: leg.path,
+        recipient: ROUTER_ADDRESS_THIS,
+        amountIn: leg.amountIn,
+        amountOutMinimum: BigInt(0)
+      }]]));
+      calls.push(nativeOut ? 
+        ['unwrapWETH9(uint256,address)', [params.amountOutMinimum, params.recipient]] : 
+        ['sweepToken(address,uint256,address)', [params.tokenOut, params.amountOutMinimum, params.recipient]]);
+    } else if (nativeOut) {
+      calls.push([method, [{ ...callParams, recipient: ROUTER_ADDRESS_THIS }]]);
+      calls.push(['unwrapWETH9(uint256,address)', [params.amountOutMinimum ?? params.amountOut, params.recipient]]);
+    } else {
+      calls.push([method, [callParams]]);
+    }
+
+    if (nativeIn) {
+      calls.push(['refundETH', []]);
+    }
+    return calls;
+  }
+
+  // ETH sent with a swap paid in native ETH: the input amount, or the cap for exact output
+  function swapValue(params) {
+    return params.nativeIn ? (params.amountInMaximum ?? params.amountIn) : BigInt(0);
+  }
+
+  // SwapRouter02 swap params have no deadline field, so the calls are wrapped in multicall(deadline, data)
+  async function populateWithDeadline(swapRouter, calls, deadline, value = BigInt(0)) {
+    const data = calls.map(([functionName, args]) => swapRouter.interface.encodeFunctionData(functionName, args));
+    return swapRouter['multicall(uint256,bytes[])'].populateTransaction(deadline, data, { value });
+  }
+
+  // Typed error for a failed swap: price bounds hit on chain are slippage, anything else a failed transaction
+  function swapFailure(message, error, revert) {
+    if (!revert) {
+      return classifyError(error, (cause) => new TransactionError(message, { cause }));
+    }
+    const details = { cause: error, revert, transactionHash: error.transactionHash ?? null };
+    return isSlippageRevert(revert) ?
+      new SlippageExceededError(`${message}: ${revert.cause}`, { ...details, guard: 'onChain' }) :
+      new TransactionError(`${message}: ${revert.cause}`, { ...details, code: 'TRANSACTION_REVERTED' });
+  }
+
+  // Decode and log why a transaction reverted, null when the error was not a revert
+  async function logRevert(label, error) {
+    const revert = await explainRevert(provider, error);
+    if (revert) {
+      log(`${label} reverted${revert.reason ? ` (${revert.reason})` : ''}: ${revert.cause}`);
+      log(`Suggestion: ${revert.suggestion}`);
+    }
+    return revert;
+  }
+
+  // Execute swap
+  async function executeSwap(swapRouter, params, signer, tokenIn, tokenOut, method = 'exactInputSingle') {
+    try {
+      log(`Preparing ${method} swap transaction...`, params);
+
+      // Populate transaction
+      const transaction = await populateWithDeadline(swapRouter, buildSwapCalls(method, params), params.deadline, swapValue(params));
+
+      // Estimation failures are not retried with a fixed gas limit, the swap would revert on chain
+      log(`Sending swap transaction...`);
+      return await sendTransaction(transaction, 'Swap');
+    } catch (error) {
+      logError('Swap execution failed', error);
+
+      // If there's a transaction hash in the error, log it
+      if (error.transactionHash) {
+        log(`Failed Transaction: ${txUrl(error.transactionHash)}`);
+      }
+
+      const revert = await logRevert('Swap', error);
+      throw swapFailure('Swap transaction failed', error, revert);
+    }
+  }
+
+  // ========================
+  // ROUTE DISCOVERY
+  // ========================
+
+  // factory.getPool results keyed by sorted pair and fee, since routes share hops
+  const poolAddressCache = new Map();
+
+  async function lookupPool(tokenA, tokenB, fee) {
+    const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    const key = `${token0}-${token1}-${fee}`.toLowerCase();
+
+    if (!poolAddressCache.has(key)) {
+      poolAddressCache.set(key, await factoryContract.getPool(token0, token1, fee));
+    }
+    return poolAddressCache.get(key);
+  }
+
+  // Drops cached lookups, which remember a pair as poolless until a pool is created for it
+  function forgetPools() {
+    poolAddressCache.clear();
+  }
+
+  // Symbol for log output: registry symbols first, then the tokens being swapped
+  function tokenLabels(...tokens) {
+    const labels = {};
+    for (const [symbol, address] of Object.entries(network.tokens)) {
+      labels[address.toLowerCase()] = symbol;
+    }
+    for (const token of tokens) {
+      labels[token.address.toLowerCase()] = token.symbol;
+    }
+    return (address) => labels[address.toLowerCase()] || address;
+  }
+
+  // Fee tiers the factory has enabled, read once from feeAmountTickSpacing
+  let enabledFeeTiers = null;
+
+  async function discoverFeeTiers() {
+    if (enabledFeeTiers === null) {
+      const tickSpacings = await Promise.all(KNOWN_FEE_TIERS.map((fee) => factoryContract.feeAmountTickSpacing(fee)));
+      enabledFeeTiers = KNOWN_FEE_TIERS.filter((fee, index) => tickSpacings[index] !== BigInt(0));
+      log(`Enabled fee tiers: ${enabledFeeTiers.join(', ')}`);
+    }
+    return enabledFeeTiers;
+  }
+
+  // In-range liquidity per pool, cached like the pool addresses
+  const poolLiquidityCache = new Map();
+
+  async function lookupPoolLiquidity(poolAddress) {
+    if (!poolLiquidityCache.has(poolAddress)) {
+      const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
+      poolLiquidityCache.set(poolAddress, await poolContract.liquidity());
+    }
+    return poolLiquidityCache.get(poolAddress);
+  }
+
+  // Price of gas in tokenOut units, from a small WETH -> tokenOut quote. Returns null when
+  // tokenOut has no direct WETH pool, in which case routes are ranked on gross output.
+  async function gasPriceInToken(tokenOut) {
+    const [{ gasPrice }, wethAddress] = await Promise.all([provider.getFeeData(), getWethAddress()]);
+    if (!gasPrice) return null;
+    if (wethAddress.toLowerCase() === tokenOut.address.toLowerCase()) {
+      return { numerator: gasPrice, denominator: BigInt(1) };
+    }
+
+    const referenceAmount = ethers.parseEther('0.01');
+    for (const fee of await discoverFeeTiers()) {
+      if (await lookupPool(wethAddress, tokenOut.address, fee) === ethers.ZeroAddress) continue;
+      try {
+        const [amountOut] = await quoterContract.quoteExactInputSingle.staticCall({
+          tokenIn: wethAddress,
+          tokenOut: tokenOut.address,
+          fee: fee,
+          amountIn: referenceAmount,
+          sqrtPriceLimitX96: BigInt(0)
+        });
+        return { numerator: gasPrice * amountOut, denominator: referenceAmount };
+      } catch (error) {
+        // Try the next tier
+      }
+    }
+    return null;
+  }
+
+  // Candidate routes with their quotes and why they were not picked, for output.
+  // Exact output candidates pass tokenIn, since they are quoted and charged gas in the input token.
+  function summarizeCandidates(candidates, tokenOut, tokenIn = null) {
+    const gasToken = tokenIn || tokenOut;
+    return candidates.map((candidate) => ({
+      route: candidate.description,
+      ...(tokenIn ? 
+        { amountIn: candidate.amountIn !== undefined ? formatBigInt(candidate.amountIn, tokenIn.decimals) : null } : 
+        { amountOut: candidate.amountOut !== undefined ? formatBigInt(candidate.amountOut, tokenOut.decimals) : null }),
+      gasCost: candidate.gasCost !== undefined ? formatBigInt(candidate.gasCost, gasToken.decimals) : null,
+      status: candidate.rejected || 'selected'
+    }));
+  }
+
+  // Route search shared by both swap directions. Every direct and multi-hop route through the base
+  // tokens is quoted with `quote`, gas is priced in `gasToken`, and the quoted routes are ordered by
+  // `compare` on what `net` adds to each, best first. Every candidate is returned with the reason it lost.
+  async function searchRoutes(tokenIn, tokenOut, options, { kind, quote, gasToken, net, compare, loss }) {
+    log(`Searching ${kind}routes for ${tokenIn.symbol}/${tokenOut.symbol} with up to ${options.maxHops} hop(s)...`);
+
+    const labelOf = tokenLabels(tokenIn, tokenOut);
+    const routes = await findRoutes({
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      baseTokens: options.baseTokens,
+      maxHops: options.maxHops,
+      feeTiers: await discoverFeeTiers(),
+      getPool: lookupPool,
+    });
+
+    if (routes.length === 0) {
+      throw new NoPoolError(`No pool or route exists for ${tokenIn.symbol}/${tokenOut.symbol} within ${options.maxHops} hop(s)`);
+    }
+
+    log(`Found ${routes.length} candidate route(s), quoting each...`);
+
+    const candidates = [];
+    for (const route of routes) {
+      const candidate = { ...route, description: describeRoute(route, labelOf) };
+      candidates.push(candidate);
+
+      const liquidities = await Promise.all(route.pools.map(lookupPoolLiquidity));
+      const emptyPool = route.pools.find((pool, index) => liquidities[index] === BigInt(0));
+      if (emptyPool) {
+        candidate.rejected = `no liquidity in pool ${emptyPool}`;
+        continue;
+      }
+
+      try {
+        Object.assign(candidate, await quote(candidate));
+      } catch (error) {
+        candidate.rejected = `quote reverted: ${error.message}`;
+      }
+    }
+
+    const quoted = candidates.filter((candidate) => !candidate.rejected);
+    if (quoted.length === 0) {
+      const rejected = candidates.map(({ description, rejected }) => ({ route: description, rejected }));
+      log(`Rejected routes:`, rejected);
+      throw new QuoteFailedError(`All ${routes.length} route(s) for ${tokenIn.symbol}/${tokenOut.symbol} were rejected`, { rejected });
+    }
+
+    const gasPrice = await gasPriceInToken(gasToken);
+    if (gasPrice === null) {
+      log(`Gas cost could not be priced in ${gasToken.symbol}, ranking routes on gross amounts`);
+    }
+    for (const candidate of quoted) {
+      if (gasPrice) {
+        candidate.gasCost = candidate.gasEstimate * gasPrice.numerator / gasPrice.denominator;
+      }
+      Object.assign(candidate, net(candidate, candidate.gasCost || BigInt(0)));
+    }
+    quoted.sort(compare);
+
+    const [best] = quoted;
+    for (const candidate of quoted.slice(1)) {
+      candidate.rejected = `worse price: ${loss(best, candidate)}`;
+    }
+    return { best, candidates };
+  }
+
+  // Share of `amount` that `difference` is, in percent with two decimals
+  function percentOfBest(difference, amount) {
+    return amount > BigInt(0) ? Number(difference * BigInt(10000) / amount) / 100 : 0;
+  }
+
+  // Search direct and multi-hop routes through the base tokens and quote each one, ranked on
+  // output net of gas priced in tokenOut. Every candidate is returned in `candidates` with the reason it lost.
+  async function findBestRoute(tokenIn, tokenOut, amountIn, options) {
+    const { best, candidates } = await searchRoutes(tokenIn, tokenOut, options, {
+      kind: '',
+      quote: async (route) => {
+        const { amountOut, gasEstimate, sqrtPriceX96AfterList } = 
+          await getQuote(quoterContract, { path: route.path, amountIn: amountIn }, tokenOut);
+        return { amountOut, gasEstimate, sqrtPriceX96AfterList };
+      },
+      gasToken: tokenOut,
+      net: (candidate, gasCost) => ({ netAmountOut: candidate.amountOut - gasCost }),
+      compare: (a, b) => (b.netAmountOut > a.netAmountOut ? 1 : b.netAmountOut < a.netAmountOut ? -1 : 0),
+      loss: (best, candidate) => {
+        const shortfall = best.netAmountOut - candidate.netAmountOut;
+        return `${formatBigInt(shortfall, tokenOut.decimals)} ${tokenOut.symbol} (${percentOfBest(shortfall, best.netAmountOut)}%) less than best`;
+      }
+    });
+
+    log(`Route candidates:`, summarizeCandidates(candidates, tokenOut));
+    log(`Best route: ${best.description}`);
+
+    return { ...best, candidates };
+  }
+
+  // Exact output counterpart of findBestRoute: quote the input every route needs for amountOut
+  // and pick the cheapest, with gas priced in the input token
+  async function findBestExactOutputRoute(tokenIn, tokenOut, amountOut, options) {
+    const { best, candidates } = await searchRoutes(tokenIn, tokenOut, options, {
+      kind: 'exact output ',
+      quote: async (route) => {
+        const { amountIn, gasEstimate, sqrtPriceX96AfterList } = 
+          await getExactOutputQuote(quoterContract, route, amountOut, tokenIn);
+        return { amountIn, gasEstimate, sqrtPriceX96AfterList };
+      },
+      gasToken: tokenIn,
+      net: (candidate, gasCost) => ({ netAmountIn: candidate.amountIn + gasCost }),
+      compare: (a, b) => (a.netAmountIn > b.netAmountIn ? 1 : a.netAmountIn < b.netAmountIn ? -1 : 0),
+      loss: (best, candidate) => {
+        const excess = candidate.netAmountIn - best.netAmountIn;
+        return `${formatBigInt(excess, tokenIn.decimals)} ${tokenIn.symbol} (${percentOfBest(excess, best.netAmountIn)}%) more than best`;
+      }
+    });
+
+    log(`Route candidates:`, summarizeCandidates(candidates, tokenOut, tokenIn));
+    log(`Best route: ${best.description}`);
+
+    return { ...best, candidates };
+  }
+
+  // ========================
+  // SPLIT ROUTING
+  // ========================
+
+  // How many of the best routes are considered for a split
+  const SPLIT_CANDIDATE_ROUTES = 4;
+
+  // Quote the best routes at every fraction of the input and look for a split across
+  // routes with no pool in common that beats the best single route. Returns null otherwise.
+  async function findBestSplitRoute(tokenIn, tokenOut, amountIn, bestRoute, options) {
+    const routes = bestRoute.candidates
+      .filter((candidate) => candidate.netAmountOut !== undefined)
+      .sort((a, b) => (b.netAmountOut > a.netAmountOut ? 1 : b.netAmountOut < a.netAmountOut ? -1 : 0))
+      .slice(0, SPLIT_CANDIDATE_ROUTES);
+
+    if (options.maxSplits < 2 || routes.length < 2) {
+      return null;
+    }
+
+    const steps = 100 / options.splitStep;
+    const partAmount = (parts) => amountIn * BigInt(parts) / BigInt(steps);
+
+    log(`Quoting ${routes.length} routes in ${options.splitStep}% steps to look for a split...`);
+
+    // Net output of each route for 1..steps parts. Gas is charged per leg at the full-size estimate.
+    const quotes = await Promise.all(routes.map(async (route) => {
+      const gasCost = route.gasCost || BigInt(0);
+      const routeQuotes = [null];
+      for (let parts = 1; parts < steps; parts++) {
+        try {
+          const { amountOut } = await quoterContract.quoteExactInput.staticCall(route.path, partAmount(parts));
+          routeQuotes.push(amountOut - gasCost);
+        } catch (error) {
+          routeQuotes.push(null);
+        }
+      }
+      routeQuotes.push(route.netAmountOut);
+      return routeQuotes;
+    }));
+
+    const split = findBestSplit(routes, quotes, steps, options.maxSplits);
+    if (!split || split.total <= bestRoute.netAmountOut) {
+      log(`No split beats the best single route`);
+      return null;
+    }
+
+    // The last leg takes the rounding remainder so the legs add up to amountIn exactly
+    let allocated = BigInt(0);
+    const legs = split.legs.map((leg, index) => {
+      const route = routes[leg.index];
+      const legAmountIn = index === split.legs.length - 1 ? amountIn - allocated : partAmount(leg.parts);
+      allocated += legAmountIn;
+      return {
+        route,
+        percent: leg.parts * options.splitStep,
+        amountIn: legAmountIn,
+        amountOut: quotes[leg.index][leg.parts] + (route.gasCost || BigInt(0)),
+      };
+    });
+
+    const amountOut = legs.reduce((sum, leg) => sum + leg.amountOut, BigInt(0));
+    const description = legs.map((leg) => `${leg.percent}% ${leg.route.description}`).join(' + ');
+
+    log(`Split beats the best single route by ${formatBigInt(split.total - bestRoute.netAmountOut, tokenOut.decimals)} ${tokenOut.symbol} net`, 
+      legs.map((leg) => ({
+        route: leg.route.description,
+        percent: leg.percent,
+        amountIn: formatBigInt(leg.amountIn, tokenIn.decimals),
+        amountOut: formatBigInt(leg.amountOut, tokenOut.decimals)
+      })));
+
+    return { legs, amountOut, netAmountOut: split.total, description };
+  }
+
+  // ========================
+  // TWAP ORACLE GUARD
+  // ========================
+
+  // Spot and TWAP ticks of a route, combined over its pools
+  async function readRouteTicks(route, seconds) {
+    const poolTicks = await Promise.all(route.pools.map((pool) => 
+      readPoolTicks(new ethers.Contract(pool, POOL_ABI, provider), seconds)));
+    const spotTick = syntheticTick(route.tokens, poolTicks.map((ticks) => ticks.spotTick));
+    const twapTick = syntheticTick(route.tokens, poolTicks.map((ticks) => ticks.twapTick));
+
+    return { spotTick, twapTick, deviationTicks: twapTick - spotTick };
+  }
+
+  // Percentage a tick difference stands for, for messages
+  function ticksToPercent(ticks) {
+    return ((Math.pow(1.0001, ticks) - 1) * 100).toFixed(2);
+  }
+
+  // Compare the spot price of every leg with its TWAP. Returns the per-route ticks, the reason to
+  // refuse the swap if a spot price is further below its TWAP than allowed, the output and input
+  // bounds for tighten mode (each leg's amounts at its TWAP price, with the allowed deviation) and
+  // the router checkOracleSlippage call that repeats the check on-chain.
+  async function checkOracle(legs, options) {
+    const seconds = options.twapMinutes * 60;
+    const maxDeviationTicks = bpsToTicks(options.maxTwapDeviationBps);
+
+    log(`Comparing spot prices with the ${options.twapMinutes}-minute TWAP (max ${maxDeviationTicks} ticks below)...`);
+
+    const checks = await Promise.all(legs.map(async (leg) => ({ leg, ...(await readRouteTicks(leg.route, seconds)) })));
+    const routes = checks.map(({ leg, spotTick, twapTick, deviationTicks }) => ({
+      route: leg.route.description,
+      spotTick,
+      twapTick,
+      deviationTicks,
+      deviationPercent: ticksToPercent(-deviationTicks)
+    }));
+    log(`TWAP check:`, routes);
+
+    const worst = checks.reduce((a, b) => (b.deviationTicks > a.deviationTicks ? b : a));
+    const blocked = worst.deviationTicks > maxDeviationTicks ? 
+      `spot price of ${worst.leg.route.description} is ${ticksToPercent(worst.deviationTicks)}% worse than its ` + 
+      `${options.twapMinutes}-minute TWAP, more than the ${options.maxTwapDeviationBps / 100}% allowed` : 
+      null;
+
+    const tighten = options.twapAction === 'tighten';
+    const amountOutMinimum = tighten ? checks.reduce((sum, { leg, deviationTicks }) => 
+      sum + scaleByTicks(leg.amountOut, deviationTicks - maxDeviationTicks), BigInt(0)) : null;
+    const amountInMaximum = tighten ? checks.reduce((sum, { leg, deviationTicks }) => 
+      sum + scaleByTicks(leg.amountIn, maxDeviationTicks - deviationTicks), BigInt(0)) : null;
+
+    // The router only accepts a divergence strictly below its limit
+    const call = legs.length === 1 ? 
+      ['checkOracleSlippage(bytes,uint24,uint32)', [legs[0].route.path, maxDeviationTicks + 1, seconds]] : 
+      ['checkOracleSlippage(bytes[],uint128[],uint24,uint32)', [
+        legs.map((leg) => leg.route.path), legs.map((leg) => leg.amountIn), maxDeviationTicks + 1, seconds
+      ]];
+
+    return {
+      twapMinutes: options.twapMinutes,
+      maxDeviationTicks,
+      action: options.twapAction,
+      routes,
+      blocked,
+      amountOutMinimum,
+      amountInMaximum,
+      call
+    };
+  }
+
+  // ========================
+  // PRICE IMPACT
+  // ========================
+
+  // Price impact of a quoted route, from each pool's slot0 price and the Quoter's price after the swap
+  async function routePriceImpact(route, sqrtPriceX96AfterList) {
+    const midPrices = await Promise.all(route.pools.map(async (pool) => {
+      const slot0 = await new ethers.Contract(pool, POOL_ABI, provider).slot0();
+      return slot0.sqrtPriceX96;
+    }));
+    return priceImpactBps(route.tokens, midPrices, sqrtPriceX96AfterList);
+  }
+
+  // Split legs are quoted again at their own size, since only their outputs were kept
+  async function legPriceImpact(leg) {
+    const { sqrtPriceX96AfterList } = await quoterContract.quoteExactInput.staticCall(leg.route.path, leg.amountIn);
+    return routePriceImpact(leg.route, [...sqrtPriceX96AfterList]);
+  }
+
+  // ========================
+  // QUOTE PREPARATION
+  // ========================
+
+  // Find the best route for a pair, quote it and apply slippage protection
+  async function prepareQuote(tokenIn, tokenOut, amountIn, options) {
+    const { slippageBps } = options;
+    const route = await findBestRoute(tokenIn, tokenOut, amountIn, options);
+    const split = await findBestSplitRoute(tokenIn, tokenOut, amountIn, route, options);
+    const quotedAmountOut = split ? split.amountOut : route.amountOut;
+
+    // Calculate minimum amount out with slippage protection
+    let amountOutMinimum = minimumAmountOut(quotedAmountOut, slippageBps);
+
+    // A zero minimum would accept any price, so the order is too small to protect
+    if (amountOutMinimum === BigInt(0)) {
+      throw new UsageError(`Quoted output of ${formatBigInt(quotedAmountOut, tokenOut.decimals)} ${tokenOut.symbol} ` + 
+        `leaves no minimum after ${slippageBps} bps slippage, increase the amount or lower --slippage`);
+    }
+
+    // How far the swap moves the price of the pools it trades through
+    const impactBps = split ? 
+      Math.max(...await Promise.all(split.legs.map((leg) => legPriceImpact(leg)))) : 
+      await routePriceImpact(route, route.sqrtPriceX96AfterList);
+    const impactBlocked = impactBps > options.maxImpactBps ? 
+      `price impact of ${impactBps / 100}% exceeds the ${options.maxImpactBps / 100}% maximum` : 
+      null;
+
+    // Compare the quoted routes with their TWAP
+    let oracle = null;
+    if (options.twapMinutes > 0) {
+      const legs = split ? split.legs : [{ route, amountIn, amountOut: route.amountOut }];
+      oracle = await checkOracle(legs, options);
+      if (oracle.amountOutMinimum !== null && oracle.amountOutMinimum > amountOutMinimum) {
+        log(`Raising amountOutMinimum to the TWAP bound: ${formatBigInt(oracle.amountOutMinimum, tokenOut.decimals)} ${tokenOut.symbol}`);
+        amountOutMinimum = oracle.amountOutMinimum;
+      }
+    }
+
+    log(`Quote details:`, {
+      route: split ? split.description : route.description,
+      amountIn: formatBigInt(amountIn, tokenIn.decimals),
+      quotedAmountOut: formatBigInt(quotedAmountOut, tokenOut.decimals),
+      slippageTolerance: `${slippageBps} bps`,
+      priceImpact: `${impactBps} bps`,
+      amountOutMinimum: formatBigInt(amountOutMinimum, tokenOut.decimals)
+    });
+    if (impactBlocked) {
+      log(`WARNING: ${impactBlocked}`);
+    }
+
+    // Direct routes keep using the single-pool router functions
+    const fee = !split && route.fees.length === 1 ? route.fees[0] : null;
+
+    return { route, split, fee, quotedAmountOut, amountOutMinimum, oracle, impactBps, impactBlocked };
+  }
+
+  // Find the cheapest route to buy exactly amountOut and cap the input with slippage protection
+  async function prepareExactOutputQuote(tokenIn, tokenOut, amountOut, options) {
+    const { slippageBps } = options;
+    const route = await findBestExactOutputRoute(tokenIn, tokenOut, amountOut, options);
+    const quotedAmountIn = route.amountIn;
+    let amountInMaximum = maximumAmountIn(quotedAmountIn, slippageBps);
+
+    const impactBps = await routePriceImpact(route, route.sqrtPriceX96AfterList);
+    const impactBlocked = impactBps > options.maxImpactBps ? 
+      `price impact of ${impactBps / 100}% exceeds the ${options.maxImpactBps / 100}% maximum` : 
+      null;
+
+    // Compare the quoted route with its TWAP
+    let oracle = null;
+    if (options.twapMinutes > 0) {
+      oracle = await checkOracle([{ route, amountIn: quotedAmountIn, amountOut }], options);
+      if (oracle.amountInMaximum !== null && oracle.amountInMaximum < amountInMaximum) {
+        log(`Lowering amountInMaximum to the TWAP bound: ${formatBigInt(oracle.amountInMaximum, tokenIn.decimals)} ${tokenIn.symbol}`);
+        amountInMaximum = oracle.amountInMaximum;
+      }
+    }
+
+    log(`Exact output quote details:`, {
+      route: route.description,
+      amountOut: formatBigInt(amountOut, tokenOut.decimals),
+      quotedAmountIn: formatBigInt(quotedAmountIn, tokenIn.decimals),
+      slippageTolerance: `${slippageBps} bps`,
+      priceImpact: `${impactBps} bps`,
+      amountInMaximum: formatBigInt(amountInMaximum, tokenIn.decimals)
+    });
+    if (impactBlocked) {
+      log(`WARNING: ${impactBlocked}`);
+    }
+
+    // Direct routes use exactOutputSingle, multi-hop routes exactOutput with the reversed path
+    const fee = route.fees.length === 1 ? route.fees[0] : null;
+
+    return { route, fee, quotedAmountIn, amountInMaximum, oracle, impactBps, impactBlocked };
+  }
+
+  // ========================
+  // DRY RUN
+  // ========================
+
+  // Address a dry run simulates from: the signer's, or --address when there is none
+  function dryRunSender(options) {
+    if (signer) return signer.address;
+    if (options.address) return options.address;
+    throw new UsageError('A dry run needs a signer or an --address to simulate from');
+  }
+
+  // How the router would be allowed to spend the input: already approved, a permit or an approve transaction
+  async function checkApproval(tokenIn, sender, amount, usePermit) {
+    if (tokenIn.isNative) {
+      return { needed: false, method: null };
+    }
+    const tokenContract = new ethers.Contract(tokenIn.address, TOKEN_ABI, provider);
+    const allowance = await tokenContract.allowance(sender, SWAP_ROUTER_CONTRACT_ADDRESS);
+    if (allowance >= amount) {
+      return { needed: false, method: null, allowance: formatBigInt(allowance, tokenIn.decimals) };
+    }
+    const permitInfo = usePermit ? await detectPermit(provider, tokenIn.address, CHAIN_ID) : null;
+    return {
+      needed: true,
+      method: permitInfo ? `${permitInfo.kind === 'dai' ? 'DAI-style' : 'EIP-2612'} permit` : 'approve transaction',
+      allowance: formatBigInt(allowance, tokenIn.decimals),
+      required: formatBigInt(amount, tokenIn.decimals)
+    };
+  }
+
+  // eth_call of the swap multicall, with balance and allowance overrides standing in for what the
+  // wallet does not have yet. Reports the amounts the router returns, gas and the calldata; signs nothing.
+  async function dryRunSwap(method, swapParams, tokenIn, tokenOut, sender, maxAmountIn, options) {
+    const swapRouter = new ethers.Contract(SWAP_ROUTER_CONTRACT_ADDRESS, SWAP_ROUTER_ABI, provider);
+    const calls = buildSwapCalls(method, swapParams);
+    const populated = await populateWithDeadline(swapRouter, calls, swapParams.deadline, swapValue(swapParams));
+    const transaction = { from: sender, to: populated.to, data: populated.data, value: populated.value ?? BigInt(0) };
+
+    const approval = await checkApproval(tokenIn, sender, maxAmountIn, options.usePermit);
+    const balance = await tokenBalance(tokenIn, sender);
+
+    // Overrides for whatever the wallet lacks
+    const overrides = {};
+    const overridden = [];
+    if (tokenIn.isNative && balance < maxAmountIn) {
+      overrides[sender] = { balance: ethers.toQuantity(maxAmountIn) };
+      overridden.push(`${tokenIn.symbol} balance`);
+    } else if (!tokenIn.isNative && (balance < maxAmountIn || approval.needed)) {
+      const { stateDiff, missing } = await tokenStateOverride(provider, tokenIn.address, sender, SWAP_ROUTER_CONTRACT_ADDRESS, maxAmountIn);
+      if (Object.keys(stateDiff).length > 0) {
+        overrides[tokenIn.address] = { stateDiff };
+        overridden.push(...['balance', 'allowance'].filter((part) => !missing.includes(part)).map((part) => `${tokenIn.symbol} ${part}`));
+      }
+      if (missing.length > 0) {
+        log(`WARNING: could not find the ${missing.join(' and ')} slot of ${tokenIn.symbol}, the dry run may revert for lack of it`);
+      }
+    }
+    const hasOverrides = overridden.length > 0;
+    if (hasOverrides) {
+      log(`Dry run overrides: ${overridden.join(', ')}`);
+    }
+
+    let returned;
+    try {
+      returned = hasOverrides ? await callWithOverrides(provider, transaction, overrides) : await provider.call(transaction);
+    } catch (error) {
+      logError('Dry run reverted', error);
+      const revert = await logRevert('Dry run', error);
+      throw swapFailure('Dry run reverted', error, revert);
+    }
+
+    // exactInput* calls return their output, exactOutput* calls their input
+    const [results] = swapRouter.interface.decodeFunctionResult('multicall(uint256,bytes[])', returned);
+    let amountIn = swapParams.amountOut !== undefined ? BigInt(0) : swapParams.amountIn;
+    let amountOut = swapParams.amountOut !== undefined ? swapParams.amountOut : BigInt(0);
+    calls.forEach(([functionName], index) => {
+      if (functionName.startsWith('exactInput')) {
+        amountOut += swapRouter.interface.decodeFunctionResult(functionName, results[index])[0];
+      } else if (functionName.startsWith('exactOutput')) {
+        amountIn += swapRouter.interface.decodeFunctionResult(functionName, results[index])[0];
+      }
+    });
+
+    // Gas needs the same overrides; nodes that do not support them for estimates report null
+    let gasEstimate = null;
+    try {
+      gasEstimate = hasOverrides ?
+        BigInt(await provider.send('eth_estimateGas', [{ ...transaction, value: ethers.toQuantity(transaction.value) }, 'latest', overrides])) :
+        await provider.estimateGas(transaction);
+    } catch (error) {
+      logError('Dry run gas estimate failed', error);
+    }
+    const { gasPrice } = await provider.getFeeData();
+
+    const balanceChanges = { [sender]: { [tokenIn.symbol]: `-${formatBigInt(amountIn, tokenIn.decimals)}` } };
+    balanceChanges[swapParams.recipient] = {
+      ...balanceChanges[swapParams.recipient],
+      [tokenOut.symbol]: `+${formatBigInt(amountOut, tokenOut.decimals)}`
+    };
+
+    const result = {
+      dryRun: true,
+      method,
+      from: sender,
+      to: transaction.to,
+      value: transaction.value.toString(),
+      data: transaction.data,
+      amountIn: formatBigInt(amountIn, tokenIn.decimals),
+      amountOut: formatBigInt(amountOut, tokenOut.decimals),
+      balanceChanges,
+      approval,
+      overrides: overridden,
+      gasEstimate: gasEstimate === null ? null : gasEstimate.toString(),
+      estimatedFeeEth: gasEstimate === null || gasPrice === null ? null : formatBigInt(gasEstimate * gasPrice, 18)
+    };
+    log(`Dry run succeeded, nothing was sent:`, { ...result, data: `${ethers.dataLength(transaction.data)} bytes` });
+    return result;
+  }
+
+  // ========================
+  // SWAP PIPELINE
+  // ========================
+
+  // Exact amounts, price and gas cost of a mined swap from its logs, compared with the quote it was sent on
+  function swapReport(receipt, tokenIn, tokenOut, recipient, quotedAmountIn, quotedAmountOut) {
+    const executed = decodeSwapReceipt(receipt, {
+      tokenIn, tokenOut, payer: requireSigner().address, recipient, router: SWAP_ROUTER_CONTRACT_ADDRESS
+    });
+
+    const report = {
+      amountIn: formatBigInt(executed.amountIn, tokenIn.decimals),
+      amountOut: formatBigInt(executed.amountOut, tokenOut.decimals),
+      effectivePrice: effectivePrice(executed.amountIn, tokenIn.decimals, executed.amountOut, tokenOut.decimals),
+      quotedPrice: effectivePrice(quotedAmountIn, tokenIn.decimals, quotedAmountOut, tokenOut.decimals),
+      slippageBps: realisedSlippageBps(quotedAmountIn, quotedAmountOut, executed.amountIn, executed.amountOut),
+      pools: executed.pools.map((pool) => ({
+        address: pool.address,
+        tick: pool.tick,
+        sqrtPriceX96: pool.sqrtPriceX96.toString()
+      })),
+      gasUsed: executed.gasUsed.toString(),
+      gasPrice: ethers.formatUnits(executed.gasPrice, 'gwei'),
+      feeEth: formatBigInt(executed.fee, 18)
+    };
+
+    log(`Swap Results:`, {
+      [`${tokenIn.symbol}Spent`]: `${report.amountIn} ${tokenIn.symbol}`,
+      [`${tokenOut.symbol}Received`]: `${report.amountOut} ${tokenOut.symbol}`,
+      price: `${report.effectivePrice} ${tokenOut.symbol}/${tokenIn.symbol} (quoted ${report.quotedPrice})`,
+      slippage: `${report.slippageBps} bps`,
+      gas: `${report.gasUsed} at ${report.gasPrice} gwei = ${report.feeEth} ETH`
+    });
+    return report;
+  }
+
+  // Quote, approve and execute a swap
+  async function swapTokens(options) {
+    if (options.exactOutput) {
+      return swapExactOutput(options);
+    }
+
+    // A dry run only needs the address to simulate from
+    const signer = options.dryRun ? null : requireSigner();
+    const sender = options.dryRun ? dryRunSender(options) : signer.address;
+
+    // Known once fetched, for the journal entry of a failed attempt
+    let tokenIn = null;
+    let tokenOut = null;
+
+    try {
+      // Fetch token information dynamically
+      tokenIn = await fetchTokenInfo(options.tokenIn);
+      tokenOut = await fetchTokenInfo(options.tokenOut);
+      assertDistinctTokens(tokenIn, tokenOut);
+      const recipient = options.recipient || sender;
+
+      log(`Starting ${options.dryRun ? 'dry run' : 'swap process'} for ${options.amount} ${tokenIn.symbol} to ${tokenOut.symbol}...`);
+
+      await logBalances({ address: sender }, tokenIn, tokenOut);
+
+      // Convert input amount to BigInt with proper decimals
+      const amountIn = ethers.parseUnits(options.amount, tokenIn.decimals);
+
+      log(`Swap amount in wei: ${amountIn.toString()}`);
+
+      // Find the best route and quote
+      const { route, split, fee, quotedAmountOut, oracle, impactBlocked, ...quote } = 
+        await prepareQuote(tokenIn, tokenOut, amountIn, options);
+      let { amountOutMinimum } = quote;
+
+      // A limit order's price is a hard floor: a quote below it is refused before anything is approved,
+      // and the minimum is never below it
+      if (options.minAmountOut) {
+        const floor = ethers.parseUnits(options.minAmountOut, tokenOut.decimals);
+        if (quotedAmountOut < floor) {
+          throw new SlippageExceededError(
+            `Refusing to swap: the quote of ${formatBigInt(quotedAmountOut, tokenOut.decimals)} ${tokenOut.symbol} is below the minimum of ${options.minAmountOut}`,
+            { guard: 'limit' }
+          );
+        }
+        if (floor > amountOutMinimum) {
+          amountOutMinimum = floor;
+        }
+      }
+
+      if (impactBlocked) {
+        throw new SlippageExceededError(`Refusing to swap: ${impactBlocked}, lower the amount or raise --max-impact`, { guard: 'priceImpact' });
+      }
+      if (oracle && oracle.blocked) {
+        throw new SlippageExceededError(`Refusing to swap: ${oracle.blocked}`, { guard: 'twap' });
+      }
+
+      // Sign a permit for the swap, or approve the token in a separate transaction, only once the
+      // quote passed every guard so a refused swap sends nothing
+      const deadline = Math.floor(Date.now() / 1000 + 60 * options.deadlineMinutes);
+      const permit = options.dryRun ? null : await authorizeSpending(tokenIn, amountIn, signer, deadline, options.usePermit);
+
+      // Prepare swap parameters: exactInputSingle for a direct pool, exactInput with the packed path
+      // for a multi-hop route, or one exactInput per leg of a split
+      const method = split ? 'split' : fee !== null ? 'exactInputSingle' : 'exactInput';
+      const native = { nativeIn: tokenIn.isNative, nativeOut: tokenOut.isNative, permit: permit, oracleCheck: oracle ? oracle.call : null };
+      const swapParams = split ? {
+        tokenOut: tokenOut.address,
+        legs: split.legs.map((leg) => ({ path: leg.route.path, amountIn: leg.amountIn })),
+        recipient: recipient,
+        deadline: deadline,
+        amountIn: amountIn,
+        amountOutMinimum: amountOutMinimum,
+        ...native
+      } : fee !== null ? {
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        fee: fee,
+        recipient: recipient,
+        deadline: deadline,
+        amountIn: amountIn,
+        amountOutMinimum: amountOutMinimum,
+        sqrtPriceLimitX96: BigInt(0),
+        ...native
+      } : {
+        path: route.path,
+        recipient: recipient,
+        deadline: deadline,
+        amountIn: amountIn,
+        amountOutMinimum: amountOutMinimum,
+        ...native
+      };
+
+      log(`Final swap parameters:`, {
+        ...swapParams,
+        route: split ? split.description : route.description,
+        permit: permit ? permit.kind : null,
+        oracleCheck: oracle ? `${oracle.twapMinutes}-minute TWAP, ${oracle.maxDeviationTicks} ticks` : null,
+        amountIn: formatBigInt(amountIn, tokenIn.decimals),
+        amountOutMinimum: formatBigInt(amountOutMinimum, tokenOut.decimals),
+        deadline: new Date(swapParams.deadline * 1000).toISOString()
+      });
+
+      if (options.dryRun) {
+        return recordSwap(options, tokenIn, tokenOut, {
+          route: split ? split.description : route.description,
+          path: split ? split.legs.map((leg) => leg.route.path) : route.path,
+          quotedAmountOut: formatBigInt(quotedAmountOut, tokenOut.decimals),
+          amountOutMinimum: formatBigInt(amountOutMinimum, tokenOut.decimals),
+          ...await dryRunSwap(method, swapParams, tokenIn, tokenOut, sender, amountIn, options)
+        });
+      }
+
+      // Initialize swap router contract
+      const swapRouter = new ethers.Contract(SWAP_ROUTER_CONTRACT_ADDRESS, SWAP_ROUTER_ABI, signer);
+
+      try {
+        // Execute swap
+        const receipt = await executeSwap(swapRouter, swapParams, signer, tokenIn, tokenOut, method);
+        const report = swapReport(receipt, tokenIn, tokenOut, recipient, amountIn, quotedAmountOut);
+
+        log(`Swap completed successfully!`);
+
+        return recordSwap(options, tokenIn, tokenOut, {
+          success: true,
+          txHash: receipt.hash,
+          tokenIn: tokenIn.address,
+          tokenOut: tokenOut.address,
+          recipient: recipient,
+          route: split ? split.description : route.description,
+          path: split ? split.legs.map((leg) => leg.route.path) : route.path,
+          quotedAmountOut: formatBigInt(quotedAmountOut, tokenOut.decimals),
+          ...report,
+          method: method
+        });
+      } catch (swapError) {
+        // The exactOutputSingle fallback only applies to direct pools
+        if (method !== 'exactInputSingle') {
+          throw swapError;
+        }
+
+        logError('ExactInputSingle swap failed, trying alternative approach', swapError);
+
+        // Buying the quoted output exactly could pay more than a hard minimum allows
+        if (options.tryExactOutput && !options.minAmountOut) {
+          await recordSwap(options, tokenIn, tokenOut, { error: swapError, method: method });
+
+          // Try exactOutputSingle as an alternative approach
+          log(`Attempting alternative approach: exactOutputSingle`);
+
+          // Buy exactly the quoted output, paying at most a fresh quote plus slippage
+          log(`Using desired output amount: ${formatBigInt(quotedAmountOut, tokenOut.decimals)} ${tokenOut.symbol}`);
+
+          const receipt = await tryExactOutputSwap(
+            quoterContract, 
+            swapRouter, 
+            { fee: fee },
+            quotedAmountOut, 
+            tokenIn,
+            tokenOut,
+            signer,
+            { slippageBps: options.slippageBps, recipient: recipient, deadline: deadline, permit: permit }
+          );
+
+          // Compared with the original exact-input quote
+          const report = swapReport(receipt, tokenIn, tokenOut, recipient, amountIn, quotedAmountOut);
+
+          log(`Swap completed successfully using exactOutputSingle!`);
+
+          return recordSwap(options, tokenIn, tokenOut, {
+            success: true,
+            txHash: receipt.hash,
+            tokenIn: tokenIn.address,
+            tokenOut: tokenOut.address,
+            recipient: recipient,
+            route: route.description,
+            path: route.path,
+            quotedAmountOut: formatBigInt(quotedAmountOut, tokenOut.decimals),
+            ...report,
+            method: 'exactOutputSingle'
+          });
+        } else {
+          log(`The exactOutputSingle fallback is disabled`);
+          throw swapError;
+        }
+      }
+    } catch (error) {
+      logError('An error occurred during swap execution', error);
+      if (!refusedBeforeSending(error)) {
+        await recordSwap(options, tokenIn, tokenOut, { error });
+      }
+      throw error;
+    }
+  }
+
+  // Quote, approve and execute a swap that buys exactly options.amount of tokenOut
+  async function swapExactOutput(options) {
+    const signer = options.dryRun ? null : requireSigner();
+    const sender = options.dryRun ? dryRunSender(options) : signer.address;
+
+    let tokenIn = null;
+    let tokenOut = null;
+
+    try {
+      tokenIn = await fetchTokenInfo(options.tokenIn);
+      tokenOut = await fetchTokenInfo(options.tokenOut);
+      assertDistinctTokens(tokenIn, tokenOut);
+      const recipient = options.recipient || sender;
+
+      log(`Starting exact output ${options.dryRun ? 'dry run' : 'swap'}: buy ${options.amount} ${tokenOut.symbol} with ${tokenIn.symbol}...`);
+
+      await logBalances({ address: sender }, tokenIn, tokenOut);
+
+      const amountOut = ethers.parseUnits(options.amount, tokenOut.decimals);
+      log(`Output amount in wei: ${amountOut.toString()}`);
+
+      // The input is only known after quoting, so spending is authorized for the capped input
+      const { route, fee, quotedAmountIn, amountInMaximum, oracle, impactBlocked } = 
+        await prepareExactOutputQuote(tokenIn, tokenOut, amountOut, options);
+
+      if (impactBlocked) {
+        throw new SlippageExceededError(`Refusing to swap: ${impactBlocked}, lower the amount or raise --max-impact`, { guard: 'priceImpact' });
+      }
+      if (oracle && oracle.blocked) {
+        throw new SlippageExceededError(`Refusing to swap: ${oracle.blocked}`, { guard: 'twap' });
+      }
+
+      const deadline = Math.floor(Date.now() / 1000 + 60 * options.deadlineMinutes);
+      const permit = options.dryRun ? null : await authorizeSpending(tokenIn, amountInMaximum, signer, deadline, options.usePermit);
+
+      const method = fee !== null ? 'exactOutputSingle' : 'exactOutput';
+      const native = { nativeIn: tokenIn.isNative, nativeOut: tokenOut.isNative, permit: permit, oracleCheck: oracle ? oracle.call : null };
+      const swapParams = fee !== null ? {
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        fee: fee,
+        recipient: recipient,
+        deadline: deadline,
+        amountOut: amountOut,
+        amountInMaximum: amountInMaximum,
+        sqrtPriceLimitX96: BigInt(0),
+        ...native
+      } : {
+        path: encodeReversePath(route.tokens, route.fees),
+        recipient: recipient,
+        deadline: deadline,
+        amountOut: amountOut,
+        amountInMaximum: amountInMaximum,
+        ...native
+      };
+
+      log(`Final swap parameters:`, {
+        ...swapParams,
+        route: route.description,
+        permit: permit ? permit.kind : null,
+        oracleCheck: oracle ? `${oracle.twapMinutes}-minute TWAP, ${oracle.maxDeviationTicks} ticks` : null,
+        amountOut: formatBigInt(amountOut, tokenOut.decimals),
+        amountInMaximum: formatBigInt(amountInMaximum, tokenIn.decimals),
+        deadline: new Date(swapParams.deadline * 1000).toISOString()
+      });
+
+      if (options.dryRun) {
+        return recordSwap(options, tokenIn, tokenOut, {
+          route: route.description,
+          path: route.path,
+          quotedAmountIn: formatBigInt(quotedAmountIn, tokenIn.decimals),
+          amountInMaximum: formatBigInt(amountInMaximum, tokenIn.decimals),
+          ...await dryRunSwap(method, swapParams, tokenIn, tokenOut, sender, amountInMaximum, options)
+        });
+      }
+
+      const swapRouter = new ethers.Contract(SWAP_ROUTER_CONTRACT_ADDRESS, SWAP_ROUTER_ABI, signer);
+      const receipt = await executeSwap(swapRouter, swapParams, signer, tokenIn, tokenOut, method);
+
+      const report = swapReport(receipt, tokenIn, tokenOut, recipient, quotedAmountIn, amountOut);
+
+      // Whatever the cap allowed but the swap did not use stays approved to the router
+      let unusedAllowance = null;
+      if (!tokenIn.isNative) {
+        const tokenContract = new ethers.Contract(tokenIn.address, TOKEN_ABI, provider);
+        unusedAllowance = await tokenContract.allowance(signer.address, SWAP_ROUTER_CONTRACT_ADDRESS);
+        if (unusedAllowance > BigInt(0)) {
+          log(`Unused approval: the router can still spend ${unusedAllowance === ethers.MaxUint256 ? 'unlimited' : 
+            formatBigInt(unusedAllowance, tokenIn.decimals)} ${tokenIn.symbol}`);
+        }
+      }
+
+      log(`Swap completed successfully!`);
+
+      return recordSwap(options, tokenIn, tokenOut, {
+        success: true,
+        txHash: receipt.hash,
+        tokenIn: tokenIn.address,
+        tokenOut: tokenOut.address,
+        recipient: recipient,
+        route: route.description,
+        path: route.path,
+        quotedAmountIn: formatBigInt(quotedAmountIn, tokenIn.decimals),
+        amountInMaximum: formatBigInt(amountInMaximum, tokenIn.decimals),
+        ...report,
+        unusedAllowance: unusedAllowance === null ? null : 
+          unusedAllowance === ethers.MaxUint256 ? 'unlimited' : formatBigInt(unusedAllowance, tokenIn.decimals),
+        method: method
+      });
+    } catch (error) {
+      logError('An error occurred during exact output swap execution', error);
+      if (!refusedBeforeSending(error)) {
+        await recordSwap(options, tokenIn, tokenOut, { error });
+      }
+      throw error;
+    }
+  }
+
+  // ========================
+  // COMMANDS
+  // ========================
+
+  // quote: price a swap without sending anything
+  async function quoteCommand(options) {
+    if (options.exactOutput) {
+      return quoteExactOutputCommand(options);
+    }
+
+    const tokenIn = await fetchTokenInfo(options.tokenIn);
+    const tokenOut = await fetchTokenInfo(options.tokenOut);
+    assertDistinctTokens(tokenIn, tokenOut);
+    const amountIn = ethers.parseUnits(options.amount, tokenIn.decimals);
+
+    const { route, split, quotedAmountOut, amountOutMinimum, oracle, impactBps, impactBlocked } = 
+      await prepareQuote(tokenIn, tokenOut, amountIn, options);
+
+    await record('quote', {
+      status: 'quoted',
+      tokenIn: journalToken(tokenIn),
+      tokenOut: journalToken(tokenOut),
+      exactOutput: false,
+      amountIn: formatBigInt(amountIn, tokenIn.decimals),
+      quotedAmountOut: formatBigInt(quotedAmountOut, tokenOut.decimals),
+      quotedPrice: effectivePrice(amountIn, tokenIn.decimals, quotedAmountOut, tokenOut.decimals),
+      route: split ? split.description : route.description,
+      priceImpactBps: impactBps
+    });
+
+    return {
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      route: split ? split.description : route.description,
+      path: split ? null : route.path,
+      pools: split ? null : route.pools,
+      legs: split ? split.legs.map((leg) => ({
+        route: leg.route.description,
+        path: leg.route.path,
+        percent: leg.percent,
+        amountIn: formatBigInt(leg.amountIn, tokenIn.decimals),
+        amountOut: formatBigInt(leg.amountOut, tokenOut.decimals)
+      })) : null,
+      amountIn: formatBigInt(amountIn, tokenIn.decimals),
+      amountOut: formatBigInt(quotedAmountOut, tokenOut.decimals),
+      amountOutMinimum: formatBigInt(amountOutMinimum, tokenOut.decimals),
+      slippageBps: options.slippageBps,
+      priceImpactBps: impactBps,
+      blocked: impactBlocked,
+      oracle: oracle ? {
+        twapMinutes: oracle.twapMinutes,
+        maxDeviationTicks: oracle.maxDeviationTicks,
+        action: oracle.action,
+        routes: oracle.routes,
+        blocked: oracle.blocked
+      } : null,
+      candidates: summarizeCandidates(route.candidates, tokenOut)
+    };
+  }
+
+  // quote --exact-output: price buying exactly --amount of the output token
+  async function quoteExactOutputCommand(options) {
+    const tokenIn = await fetchTokenInfo(options.tokenIn);
+    const tokenOut = await fetchTokenInfo(options.tokenOut);
+    assertDistinctTokens(tokenIn, tokenOut);
+    const amountOut = ethers.parseUnits(options.amount, tokenOut.decimals);
+
+    const { route, quotedAmountIn, amountInMaximum, oracle, impactBps, impactBlocked } = 
+      await prepareExactOutputQuote(tokenIn, tokenOut, amountOut, options);
+
+    await record('quote', {
+      status: 'quoted',
+      tokenIn: journalToken(tokenIn),
+      tokenOut: journalToken(tokenOut),
+      exactOutput: true,
+      amountOut: formatBigInt(amountOut, tokenOut.decimals),
+      quotedAmountIn: formatBigInt(quotedAmountIn, tokenIn.decimals),
+      quotedPrice: effectivePrice(quotedAmountIn, tokenIn.decimals, amountOut, tokenOut.decimals),
+      route: route.description,
+      priceImpactBps: impactBps
+    });
+
+    return {
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      route: route.description,
+      path: route.path,
+      pools: route.pools,
+      amountOut: formatBigInt(amountOut, tokenOut.decimals),
+      amountIn: formatBigInt(quotedAmountIn, tokenIn.decimals),
+      amountInMaximum: formatBigInt(amountInMaximum, tokenIn.decimals),
+      slippageBps: options.slippageBps,
+      priceImpactBps: impactBps,
+      blocked: impactBlocked,
+      oracle: oracle ? {
+        twapMinutes: oracle.twapMinutes,
+        maxDeviationTicks: oracle.maxDeviationTicks,
+        action: oracle.action,
+        routes: oracle.routes,
+        blocked: oracle.blocked
+      } : null,
+      candidates: summarizeCandidates(route.candidates, tokenOut, tokenIn)
+    };
+  }
+
+  // pool: show the direct pool a swap between two tokens would use, for --amount or one token
+  async function poolCommand(options) {
+    const tokenIn = await fetchTokenInfo(options.tokenIn);
+    const tokenOut = await fetchTokenInfo(options.tokenOut);
+    assertDistinctTokens(tokenIn, tokenOut);
+    const amountIn = ethers.parseUnits(options.amount || '1', tokenIn.decimals);
+    const { address, token0, token1, fee, liquidity, slot0, candidates } = await getPoolInfo(tokenIn, tokenOut, amountIn);
+
+    return {
+      address,
+      token0,
+      token1,
+      fee: Number(fee),
+      liquidity: liquidity.toString(),
+      sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+      tick: Number(slot0.tick),
+      amountIn: formatBigInt(amountIn, tokenIn.decimals),
+      candidates: summarizeCandidates(candidates, tokenOut)
+    };
+  }
+
+  // ========================
+  // OFFLINE SIMULATION
+  // ========================
+
+  // Output of amountIn at the pool's current price with no fee, for price impact
+  function spotAmountOut(state, zeroForOne, amountIn) {
+    const priceX192 = state.sqrtPriceX96 * state.sqrtPriceX96;
+    return zeroForOne ? (amountIn * priceX192) >> BigInt(192) : (amountIn << BigInt(192)) / priceX192;
+  }
+
+  // Simulated output of one order size, or why the loaded state cannot price it
+  function simulateOrder(state, tokenIn, tokenOut, amountIn) {
+    try {
+      const zeroForOne = tokenIn.address.toLowerCase() === state.token0.toLowerCase();
+      const result = simulateExactInput(state, tokenIn.address, amountIn);
+      const spotOut = spotAmountOut(state, zeroForOne, amountIn);
+      const impactBps = spotOut > BigInt(0) ? Number(((spotOut - result.amountOut) * BigInt(10000)) / spotOut) : null;
+
+      return {
+        amountIn: formatBigInt(result.amountIn, tokenIn.decimals),
+        amountOut: formatBigInt(result.amountOut, tokenOut.decimals),
+        priceImpactPercent: impactBps === null ? null : impactBps / 100,
+        partialFill: result.amountIn !== amountIn,
+        result
+      };
+    } catch (error) {
+      return { amountIn: formatBigInt(amountIn, tokenIn.decimals), error: error.message };
+    }
+  }
+
+  // Compare the simulation with quoteExactInputSingle and quoteExactOutputSingle for the same pool
+  async function verifySimulation(state, tokenIn, tokenOut, amountIn, simulated) {
+    const common = { tokenIn: tokenIn.address, tokenOut: tokenOut.address, fee: state.fee, sqrtPriceLimitX96: 0 };
+    const [exactIn, exactOut] = await Promise.all([
+      quoterContract.quoteExactInputSingle.staticCall({ ...common, amountIn }),
+      quoterContract.quoteExactOutputSingle.staticCall({ ...common, amount: simulated.amountOut })
+    ]);
+    const simulatedExactOut = simulateExactOutput(state, tokenIn.address, simulated.amountOut);
+
+    return {
+      exactInput: {
+        quoted: formatBigInt(exactIn.amountOut, tokenOut.decimals),
+        matches: exactIn.amountOut === simulated.amountOut && exactIn.sqrtPriceX96After === simulated.sqrtPriceX96After
+      },
+      exactOutput: {
+        quoted: formatBigInt(exactOut.amountIn, tokenIn.decimals),
+        simulated: formatBigInt(simulatedExactOut.amountIn, tokenIn.decimals),
+        matches: exactOut.amountIn === simulatedExactOut.amountIn && exactOut.sqrtPriceX96After === simulatedExactOut.sqrtPriceX96After
+      }
+    };
+  }
+
+  // simulate: load every direct pool once and price the order, plus a price-impact curve, without the Quoter
+  async function simulateCommand(options) {
+    const tokenIn = await fetchTokenInfo(options.tokenIn);
+    const tokenOut = await fetchTokenInfo(options.tokenOut);
+    assertDistinctTokens(tokenIn, tokenOut);
+    const amountIn = ethers.parseUnits(options.amount, tokenIn.decimals);
+
+    const feeTiers = await discoverFeeTiers();
+    const pools = [];
+
+    for (const fee of feeTiers) {
+      const poolAddress = await lookupPool(tokenIn.address, tokenOut.address, fee);
+      if (poolAddress === ethers.ZeroAddress) continue;
+
+      log(`Loading tick state of the ${fee} pool ${poolAddress}...`);
+      const state = await loadPoolState(new ethers.Contract(poolAddress, POOL_ABI, provider));
+      log(`Loaded ${state.liquidityNet.size} initialized ticks in words ${state.minWord} to ${state.maxWord}`);
+
+      const pool = {
+        address: poolAddress,
+        fee,
+        tick: state.tick,
+        liquidity: state.liquidity.toString(),
+        initializedTicks: state.liquidityNet.size
+      };
+
+      if (state.liquidity === BigInt(0)) {
+        pools.push({ ...pool, error: 'no in-range liquidity' });
+        continue;
+      }
+
+      const { result, ...order } = simulateOrder(state, tokenIn, tokenOut, amountIn);
+      pool.order = order;
+      if (result) {
+        pool.order.tickAfter = result.tickAfter;
+        pool.order.initializedTicksCrossed = result.initializedTicksCrossed;
+      }
+      pool.curve = SIMULATION_CURVE_PERCENTS.map((percent) => {
+        const { result: _, ...point } = simulateOrder(state, tokenIn, tokenOut, (amountIn * BigInt(percent)) / BigInt(100));
+        return { percent, ...point };
+      });
+
+      if (options.verify && result) {
+        try {
+          pool.verification = await verifySimulation(state, tokenIn, tokenOut, amountIn, result);
+        } catch (error) {
+          pool.verification = { error: error.reason || error.shortMessage || error.message };
+        }
+      }
+
+      pools.push(pool);
+    }
+
+    if (pools.length === 0) {
+      throw new NoPoolError(`No direct pool exists for ${tokenIn.symbol}/${tokenOut.symbol}`);
+    }
+
+    return {
+      tokenIn: tokenIn.address,
+      tokenOut: tokenOut.address,
+      amountIn: options.amount,
+      pools
+    };
+  }
+
+  // balances: ETH balance plus any tokens passed with --token
+  async function balancesCommand(options) {
+    const address = options.address || requireSigner().address;
+    const tokens = await Promise.all(options.tokens
+      .filter((token) => token !== NATIVE_SYMBOL)
+      .map((token) => fetchTokenInfo(token)));
+    const balances = await getBalances(address, tokens);
+
+    return { address, balances };
+  }
+
+  // wrap: deposit ETH into the router's WETH contract
+  async function wrapCommand(options) {
+    const signer = requireSigner();
+    const wethAddress = await getWethAddress();
+    const receipt = await wrapEthToWeth(signer, options.amount, wethAddress);
+
+    return { success: true, txHash: receipt.hash, weth: wethAddress, amount: options.amount };
+  }
+
+  // unwrap: withdraw ETH from the router's WETH contract
+  async function unwrapCommand(options) {
+    const signer = requireSigner();
+    const wethAddress = await getWethAddress();
+    const receipt = await unwrapWethToEth(signer, options.amount, wethAddress);
+
+    return { success: true, txHash: receipt.hash, weth: wethAddress, amount: options.amount };
+  }
+
+  // approve: let the swap router spend a token
+  async function approveCommand(options) {
+    const signer = requireSigner();
+    const results = [];
+
+    for (const token of options.tokens) {
+      if (token === NATIVE_SYMBOL) {
+        throw new UsageError(`${NATIVE_SYMBOL} is sent with the swap and needs no approval`);
+      }
+      const tokenInfo = await fetchTokenInfo(token);
+      const amount = ethers.parseUnits(options.amount, tokenInfo.decimals);
+      const result = await approveToken(tokenInfo, amount, signer);
+      results.push({ token: tokenInfo.address, amount: options.amount, ...result });
+    }
+
+    return results.length === 1 ? results[0] : results;
+  }
+
+  // grow-oracle: let a pool store more observations so longer TWAP windows can be read
+  async function growOracleCommand(options) {
+    const signer = requireSigner();
+    const poolContract = new ethers.Contract(options.pool, POOL_ABI, signer);
+    const slot0 = await poolContract.slot0();
+    const current = Number(slot0.observationCardinalityNext);
+
+    if (options.cardinality <= current) {
+      log(`Pool ${options.pool} already stores up to ${current} observations`);
+      return { success: true, txHash: null, pool: options.pool, observationCardinalityNext: current };
+    }
+
+    log(`Growing observation cardinality of ${options.pool} from ${current} to ${options.cardinality}...`);
+    const transaction = await poolContract.increaseObservationCardinalityNext.populateTransaction(options.cardinality);
+    const receipt = await sendTransaction(transaction, 'Grow Oracle');
+
+    // New slots fill as the pool is traded, one per block with a swap or liquidity change
+    return { success: true, txHash: receipt.hash, pool: options.pool, observationCardinalityNext: options.cardinality };
+  }
+
+  // cancel: replace a stuck transaction with a 0 ETH transfer to self, the oldest pending one by default
+  async function cancelCommand(options) {
+    requireSigner();
+    const { nonce, receipt } = await getTransactionManager().cancel(options.nonce ?? null);
+
+    return { success: true, nonce, txHash: receipt.hash };
+  }
+
+  // history: journal entries of this chain, with realised PnL in a currency token and an optional CSV export
+  async function historyCommand(options) {
+    if (!journal) {
+      throw new UsageError('history needs a trade journal, create the client with one');
+    }
+
+    const entries = await journal.read({
+      chainId: CHAIN_ID,
+      tokens: options.tokens,
+      since: options.since ?? undefined,
+      until: options.until ?? undefined,
+    });
+
+    // Priced in the network's USDC by default, or WETH where the registry has no USDC
+    const currencyAddress = options.pnlCurrency || network.tokens.USDC || await getWethAddress();
+    const currency = currencyAddress === NATIVE_SYMBOL ? 
+      await fetchNativeTokenInfo() : 
+      await fetchTokenInfo(currencyAddress);
+    const pnl = realisedPnl(entries, currency);
+
+    if (options.csv) {
+      await exportCsv(options.csv, entries);
+      log(`Exported ${entries.length} journal entries to ${options.csv}`);
+    }
+
+    return { journal: journal.path, entries, pnl, csv: options.csv ?? null };
+  }
+
+  // ========================
+  // SUBSYSTEMS
+  // ========================
+  // Batches, limit orders, DCA schedules, liquidity positions and pool depth run in their own modules
+  // on top of the quote, approve and swap core above
+  const core = {
+    provider,
+    network,
+    limitOrders,
+    dcaSchedules,
+    fetchTokenInfo,
+    lookupPool,
+    forgetPools,
+    discoverFeeTiers,
+    checkBalance,
+    getPoolInfo,
+    prepareQuote,
+    prepareExactOutputQuote,
+    approveToken,
+    sendTransaction,
+    swapTokens,
+    requireSigner,
+    dryRunSender,
+    assertDistinctTokens,
+    insufficientBalance,
+    formatBigInt,
+    log,
+    logError,
+  };
+  const batchRunner = createBatchRunner(core);
+  const limitRunner = createLimitOrderRunner(core);
+  const dcaRunner = createDcaRunner(core);
+  const liquidityRunner = createLiquidityRunner(core);
+  const depthRunner = createDepthRunner(core);
+
+  /**
+   * @typedef {object} SwapClient
+   * Commands take SwapOptions and resolve to plain, JSON-friendly results with amounts in
+   * human units. The building blocks below them take TokenInfo objects and BigInt amounts.
+   */
+  return Object.freeze({
+    network,
+    provider,
+    signer,
+    
+    // Commands
+    /** @type {(options: SwapOptions) => Promise<object>} */
+    quote: (options) => quoteCommand(withDefaults(options)),
+    /** @type {(options: SwapOptions) => Promise<SwapResult>} */
+    swap: (options) => swapTokens(withDefaults(options)),
+    /** @type {(options: SwapOptions) => Promise<object>} Best direct pool for the pair */
+    pool: (options) => poolCommand(withDefaults(options)),
+    /** @type {(options: { pool?: string, tokenA?: string, tokenB?: string, fee?: number }) => Promise<object>} Pool by address, or by pair and fee tier */
+    inspectPool: (options) => depthRunner.inspectPool(withDefaults(options)),
+    /** @type {(options: { tokenA: string, tokenB: string, fee: number, initialPrice: string, priceLower?: string, priceUpper?: string, amountA?: string, amountB?: string }) => Promise<object>} */
+    createPool: (options) => liquidityRunner.createPool(withDefaults(options)),
+    /** @type {(options: SwapOptions & { verify?: boolean }) => Promise<object>} */
+    simulate: (options) => simulateCommand(withDefaults(options)),
+    /** @type {(options: { address?: string, tokens?: string[] }) => Promise<object>} */
+    balances: (options) => balancesCommand(withDefaults(options)),
+    /** @type {(options: { amount: string }) => Promise<object>} */
+    wrap: (options) => wrapCommand(withDefaults(options)),
+    /** @type {(options: { amount: string }) => Promise<object>} */
+    unwrap: (options) => unwrapCommand(withDefaults(options)),
+    /** @type {(options: { tokens: string[], amount: string }) => Promise<object>} */
+    approve: (options) => approveCommand(withDefaults(options)),
+    /** @type {(options: { pool: string, cardinality: number }) => Promise<object>} */
+    growOracle: (options) => growOracleCommand(withDefaults(options)),
+    /** @type {(options: { nonce?: number }) => Promise<object>} */
+    cancel: (options) => cancelCommand(withDefaults(options)),
+    /** @type {(options: { tokens?: string[], since?: Date, until?: Date, pnlCurrency?: string, csv?: string }) => Promise<object>} */
+    history: (options) => historyCommand(withDefaults(options)),
+    /** @type {(options: { tokenIn: string, tokenOut: string, amount: string, limitPrice: string, watch?: boolean }) => Promise<object>} */
+    limit: (options) => limitRunner.limit(withDefaults(options)),
+    /** @type {(options: { cancelOrder?: number }) => Promise<object>} */
+    limits: (options) => limitRunner.limits(withDefaults(options)),
+    /** @type {(options?: SwapOptions) => Promise<object>} Resolves once no order is pending */
+    watch: (options) => limitRunner.watch(withDefaults(options)),
+    /** @type {(options: { tokenIn: string, tokenOut: string, amount: string, interval: string, start?: Date, end?: Date, maxPrice?: string, catchUp?: string, watch?: boolean }) => Promise<object>} */
+    dca: (options) => dcaRunner.dca(withDefaults(options)),
+    /** @type {(options: { cancelSchedule?: number }) => Promise<object>} */
+    dcaList: (options) => dcaRunner.dcaList(withDefaults(options)),
+    /** @type {(options?: SwapOptions) => Promise<object>} Resolves once no schedule is active */
+    dcaRun: (options) => dcaRunner.dcaRun(withDefaults(options)),
+    /** @type {(options: SwapOptions & { orders: Partial<SwapOptions>[], onError?: 'stop'|'continue' }) => Promise<object>} */
+    batch: (options) => batchRunner.run(withDefaults(options)),
+    /** @type {(options: { tokenA: string, tokenB: string, fee: number, priceLower: string, priceUpper: string, amountA?: string, amountB?: string }) => Promise<object>} Prices are tokenB per tokenA */
+    addLiquidity: (options) => liquidityRunner.addLiquidity(withDefaults(options)),
+    /** @type {(options: { address?: string }) => Promise<object>} */
+    listPositions: (options) => liquidityRunner.listPositions(withDefaults(options)),
+    /** @type {(options: { tokenId: number, amount0?: string, amount1?: string }) => Promise<object>} */
+    increaseLiquidity: (options) => liquidityRunner.increaseLiquidity(withDefaults(options)),
+    /** @type {(options: { tokenId: number, percent: number }) => Promise<object>} */
+    decreaseLiquidity: (options) => liquidityRunner.decreaseLiquidity(withDefaults(options)),
+    /** @type {(options: { tokenId: number, recipient?: string }) => Promise<object>} */
+    collect: (options) => liquidityRunner.collect(withDefaults(options)),
+    /** @type {(options: { tokenId: number }) => Promise<object>} */
+    burnPosition: (options) => liquidityRunner.burnPosition(withDefaults(options)),
+    
+    // Building blocks
+    /** @type {(token: string) => Promise<TokenInfo>} */
+    fetchTokenInfo,
+    /** @type {(address: string, tokens: TokenInfo[]) => Promise<object>} */
+    getBalances,
+    /** @type {(tokenIn: TokenInfo, tokenOut: TokenInfo, amountIn: bigint) => Promise<object>} */
+    getPoolInfo,
+    /** @type {(params: object, tokenOut: TokenInfo) => Promise<{ amountOut: bigint, gasEstimate: bigint, sqrtPriceX96AfterList: bigint[] }>} */
+    getQuote: (params, tokenOut) => getQuote(quoterContract, params, tokenOut),
+    /** @type {(tokenIn: TokenInfo, tokenOut: TokenInfo, amountIn: bigint, options?: SwapOptions) => Promise<object>} */
+    prepareQuote: (tokenIn, tokenOut, amountIn, options) => prepareQuote(tokenIn, tokenOut, amountIn, withDefaults(options)),
+    /** @type {(tokenIn: TokenInfo, tokenOut: TokenInfo, amountOut: bigint, options?: SwapOptions) => Promise<object>} */
+    prepareExactOutputQuote: (tokenIn, tokenOut, amountOut, options) => 
+      prepareExactOutputQuote(tokenIn, tokenOut, amountOut, withDefaults(options)),
+    /** @type {(tokenInfo: TokenInfo, amount: bigint) => Promise<{ success: boolean, txHash?: string, message?: string }>} */
+    approveToken: (tokenInfo, amount) => approveToken(tokenInfo, amount, requireSigner()),
+    /** @type {(params: object, tokenIn: TokenInfo, tokenOut: TokenInfo, method?: string) => Promise<ethers.TransactionReceipt>} */
+    executeSwap: (params, tokenIn, tokenOut, method) => executeSwap(
+      new ethers.Contract(SWAP_ROUTER_CONTRACT_ADDRESS, SWAP_ROUTER_ABI, requireSigner()), params, requireSigner(), tokenIn, tokenOut, method
+    ),
+  });
+}
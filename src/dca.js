@@ -0,0 +1,386 @@
+import { ethers } from 'ethers';
+import { UsageError, SlippageExceededError } from './errors.js';
+import { createJsonStore } from './store.js';
+
+// ========================
+// DCA SCHEDULES
+// ========================
+// A schedule buys tokenOut with a fixed amount of tokenIn once per period, from its start until
+// its optional end. Period k is due at startAt + k * interval; `nextPeriod` is the first period
+// not yet handled, so a restarted scheduler knows exactly what it missed. Schedules are kept in a
+// JSON file (see store.js).
+//
+// Periods that came due while no scheduler was running are handled by the schedule's catch-up policy:
+//   all     buy every missed period, one after another
+//   latest  buy once for the most recent period and mark the older ones missed
+//   skip    buy only periods less than DCA_GRACE_SECONDS late, mark the rest missed
+
+export const DEFAULT_DCA_PATH = 'dca-schedules.json';
+
+export const CATCH_UP_POLICIES = ['latest', 'all', 'skip'];
+
+export const DCA_STATUSES = ['active', 'completed', 'cancelled'];
+
+// How late a period may run and still count as on time under the skip policy
+export const DCA_GRACE_SECONDS = 15 * 60;
+
+// Digits after the decimal point a max price keeps
+export const MAX_PRICE_DECIMALS = 18;
+
+const INTERVAL_UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+
+/**
+ * @typedef {object} DcaRun
+ * @property {number} period
+ * @property {string} scheduledAt ISO 8601
+ * @property {string|null} executedAt
+ * @property {'success'|'failed'|'skipped'|'missed'} status skipped: above the max price; missed: by the catch-up policy
+ * @property {string|null} [txHash]
+ * @property {string} [amountIn]
+ * @property {string} [amountOut]
+ * @property {string} [effectivePrice]
+ * @property {{ code: string, message: string }} [error]
+ */
+
+/**
+ * @typedef {object} DcaSchedule
+ * @property {number} id
+ * @property {string} network
+ * @property {number} chainId
+ * @property {string} tokenIn Address or ETH, spent every period
+ * @property {string} tokenOut Address or ETH, bought every period
+ * @property {string} symbolIn
+ * @property {string} symbolOut
+ * @property {string} amount tokenIn spent per period, in human units
+ * @property {string} interval As given, e.g. 1w
+ * @property {number} intervalSeconds
+ * @property {string} startAt ISO 8601, when period 0 is due
+ * @property {string|null} endAt ISO 8601, no period is due after it
+ * @property {string|null} maxPrice Most tokenIn paid per tokenOut; a period above it is skipped
+ * @property {'latest'|'all'|'skip'} catchUp
+ * @property {string|null} recipient
+ * @property {number|null} slippageBps
+ * @property {number} nextPeriod First period not yet handled
+ * @property {'active'|'completed'|'cancelled'} status
+ * @property {DcaRun[]} runs
+ */
+
+// Interval such as 30m, 12h, 1d or 2w, in seconds; at least one minute
+export function parseInterval(value) {
+  const match = /^(\d+)([mhdw])$/.exec(value);
+  if (!match || Number(match[1]) === 0) {
+    throw new UsageError(`The interval must be a whole number of minutes, hours, days or weeks such as 30m, 12h, 1d or 1w, got "${value}"`);
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
+
+// When a period is due, in milliseconds since the epoch
+export function periodTime(schedule, period) {
+  return Date.parse(schedule.startAt) + period * schedule.intervalSeconds * 1000;
+}
+
+// Last period due at or before the end date, or Infinity without one
+function lastPeriod(schedule) {
+  if (!schedule.endAt) return Infinity;
+  return Math.floor((Date.parse(schedule.endAt) - Date.parse(schedule.startAt)) / (schedule.intervalSeconds * 1000));
+}
+
+/**
+ * Periods due at `now` and what the catch-up policy does with them.
+ *
+ * @param {DcaSchedule} schedule
+ * @param {number} now Milliseconds since the epoch
+ * @returns {{ execute: number[], missed: number[], nextPeriod: number, completed: boolean, nextRunAt: number|null }}
+ */
+export function duePeriods(schedule, now) {
+  const last = lastPeriod(schedule);
+  const lastDue = Math.min(last, Math.floor((now - Date.parse(schedule.startAt)) / (schedule.intervalSeconds * 1000)));
+
+  const due = [];
+  for (let period = schedule.nextPeriod; period <= lastDue; period++) {
+    due.push(period);
+  }
+
+  let execute = due;
+  if (schedule.catchUp === 'latest') {
+    execute = due.slice(-1);
+  } else if (schedule.catchUp === 'skip') {
+    execute = due.filter((period) => now - periodTime(schedule, period) <= DCA_GRACE_SECONDS * 1000);
+  }
+
+  const nextPeriod = Math.max(schedule.nextPeriod, lastDue + 1);
+  return {
+    execute,
+    missed: due.filter((period) => !execute.includes(period)),
+    nextPeriod,
+    completed: nextPeriod > last,
+    nextRunAt: nextPeriod > last ? null : periodTime(schedule, nextPeriod),
+  };
+}
+
+// Least tokenOut a period must buy to pay at most maxPrice tokenIn per tokenOut, rounded up
+export function maxPriceAmountOut(amountIn, decimalsIn, decimalsOut, maxPrice) {
+  const numerator = amountIn * BigInt(10) ** BigInt(decimalsOut + MAX_PRICE_DECIMALS);
+  const denominator = ethers.parseUnits(maxPrice, MAX_PRICE_DECIMALS) * BigInt(10) ** BigInt(decimalsIn);
+  return numerator / denominator + (numerator % denominator > BigInt(0) ? BigInt(1) : BigInt(0));
+}
+
+/**
+ * DCA schedules backed by a JSON file, created on the first write.
+ *
+ * @param {string} [path]
+ * @returns {{ path: string, list: () => Promise<DcaSchedule[]>, add: (schedule: object) => Promise<DcaSchedule>, update: (id: number, changes: Partial<DcaSchedule>) => Promise<DcaSchedule> }}
+ */
+export function createDcaStore(path = DEFAULT_DCA_PATH) {
+  const store = createJsonStore(path, 'schedules', 'DCA schedule');
+  // New schedules start active at period 0
+  return { ...store, add: (schedule) => store.add({ ...schedule, nextPeriod: 0, status: 'active', runs: [] }) };
+}
+
+// ========================
+// DCA SCHEDULER
+// ========================
+// The scheduler sleeps until the next period of any active schedule, re-reading the store at least
+// every DCA_POLL_MS so schedules added or cancelled by another process are picked up. Each period
+// is one exact-input swap through the normal quote, slippage and swap pipeline, so a bought period
+// is journalled like any swap. A schedule's nextPeriod is saved before its periods are bought: a period cut short
+// by a crash is not bought twice after a restart.
+
+// Longest the DCA scheduler sleeps before re-reading its schedules
+const DCA_POLL_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * DCA commands on top of a swap client's building blocks, which createSwapClient passes in.
+ *
+ * @param {object} client
+ * @param {object} client.network
+ * @param {object|null} client.dcaSchedules Store from createDcaStore
+ * @param {(token: string) => Promise<object>} client.fetchTokenInfo
+ * @param {Function} client.assertDistinctTokens
+ * @param {(options: object) => Promise<object>} client.swapTokens
+ * @param {() => ethers.Wallet} client.requireSigner
+ * @param {(value: bigint, decimals: number) => string} client.formatBigInt
+ * @param {(message: string, data?: any) => void} client.log
+ * @param {(message: string, error: Error) => void} client.logError
+ */
+export function createDcaRunner({
+  network,
+  dcaSchedules,
+  fetchTokenInfo,
+  assertDistinctTokens,
+  swapTokens,
+  requireSigner,
+  formatBigInt,
+  log,
+  logError,
+}) {
+  function requireDcaSchedules() {
+    if (!dcaSchedules) {
+      throw new UsageError('DCA needs a schedule store, create the client with one');
+    }
+    return dcaSchedules;
+  }
+
+  // Buy one period of a schedule; returns its run record
+  async function runDcaPeriod(schedule, period, options) {
+    const run = { period, scheduledAt: new Date(periodTime(schedule, period)).toISOString(), executedAt: new Date().toISOString() };
+    try {
+      // The max price becomes a hard minimum output, which swapTokens checks against the quote
+      // before approving anything, so a skipped period sends nothing and is not journalled as a swap
+      let minAmountOut;
+      if (schedule.maxPrice) {
+        const tokenIn = await fetchTokenInfo(schedule.tokenIn);
+        const tokenOut = await fetchTokenInfo(schedule.tokenOut);
+        const amountIn = ethers.parseUnits(schedule.amount, tokenIn.decimals);
+        minAmountOut = formatBigInt(maxPriceAmountOut(amountIn, tokenIn.decimals, tokenOut.decimals, schedule.maxPrice), tokenOut.decimals);
+      }
+
+      const result = await swapTokens({
+        ...options,
+        tokenIn: schedule.tokenIn,
+        tokenOut: schedule.tokenOut,
+        amount: schedule.amount,
+        exactOutput: false,
+        recipient: schedule.recipient,
+        slippageBps: schedule.slippageBps ?? options.slippageBps,
+        minAmountOut,
+        dryRun: false
+      });
+      log(`DCA schedule ${schedule.id} period ${period}: bought ${result.amountOut} ${schedule.symbolOut} for ${result.amountIn} ${schedule.symbolIn}`);
+      return {
+        ...run,
+        status: 'success',
+        txHash: result.txHash,
+        amountIn: result.amountIn,
+        amountOut: result.amountOut,
+        effectivePrice: result.effectivePrice
+      };
+    } catch (error) {
+      // Above the max price the period is skipped rather than failed
+      const skipped = error instanceof SlippageExceededError && error.guard === 'limit';
+      if (skipped) {
+        log(`DCA schedule ${schedule.id} period ${period} skipped, the price is above ${schedule.maxPrice}`);
+      } else {
+        logError(`DCA schedule ${schedule.id} period ${period} failed`, error);
+      }
+      return {
+        ...run,
+        status: skipped ? 'skipped' : 'failed',
+        txHash: error.transactionHash ?? null,
+        error: { code: error.code ?? null, message: error.message }
+      };
+    }
+  }
+
+  // Handle the due periods of one schedule, as its catch-up policy says. Returns the new run records.
+  async function runDueSchedule(schedule, now, options) {
+    const store = requireDcaSchedules();
+    const { execute, missed, nextPeriod, completed } = duePeriods(schedule, now);
+    if (execute.length === 0 && missed.length === 0 && !completed) {
+      return [];
+    }
+
+    const missedRuns = missed.map((period) => ({
+      period, scheduledAt: new Date(periodTime(schedule, period)).toISOString(), executedAt: null, status: 'missed'
+    }));
+    if (missed.length > 0) {
+      log(`DCA schedule ${schedule.id}: ${missed.length} missed periods not bought (catch-up policy ${schedule.catchUp})`);
+    }
+    let current = await store.update(schedule.id, { nextPeriod, runs: [...schedule.runs, ...missedRuns] });
+
+    const runs = [...missedRuns];
+    for (const period of execute) {
+      log(`DCA schedule ${schedule.id}: buying ${schedule.symbolOut} with ${schedule.amount} ${schedule.symbolIn} for period ${period}...`);
+      const run = await runDcaPeriod(schedule, period, options);
+      runs.push(run);
+      current = await store.update(schedule.id, { runs: [...current.runs, run] });
+    }
+
+    // Only completion is written here, so a cancellation made meanwhile is kept
+    if (completed && current.status === 'active') {
+      await store.update(schedule.id, { status: 'completed' });
+      log(`DCA schedule ${schedule.id} completed`);
+    }
+    return runs.map((run) => ({ schedule: schedule.id, ...run }));
+  }
+
+  // Run the active schedules of this chain until none is left. Resolves with every run it made.
+  async function runDcaSchedules(options) {
+    const store = requireDcaSchedules();
+    requireSigner();
+    const runs = [];
+
+    for (;;) {
+      const active = (await store.list()).filter((schedule) => schedule.status === 'active' && schedule.chainId === network.chainId);
+      if (active.length === 0) {
+        return { runs };
+      }
+
+      for (const schedule of active) {
+        runs.push(...await runDueSchedule(schedule, Date.now(), options));
+      }
+
+      const nextRuns = (await store.list())
+        .filter((schedule) => schedule.status === 'active' && schedule.chainId === network.chainId)
+        .map((schedule) => duePeriods(schedule, Date.now()).nextRunAt)
+        .filter((time) => time !== null);
+      if (nextRuns.length > 0) {
+        const next = Math.min(...nextRuns);
+        log(`Next DCA period due ${new Date(next).toISOString()}`);
+        await sleep(Math.max(0, Math.min(next - Date.now(), DCA_POLL_MS)));
+      }
+    }
+  }
+
+  // ========================
+
+  // dca: store a schedule buying tokenOut with amount of tokenIn every interval, then run the scheduler
+  async function dca(options) {
+    const store = requireDcaSchedules();
+    requireSigner();
+
+    const tokenIn = await fetchTokenInfo(options.tokenIn);
+    const tokenOut = await fetchTokenInfo(options.tokenOut);
+    assertDistinctTokens(tokenIn, tokenOut);
+
+    const intervalSeconds = parseInterval(options.interval);
+    if (!CATCH_UP_POLICIES.includes(options.catchUp)) {
+      throw new UsageError(`catchUp must be one of ${CATCH_UP_POLICIES.join(', ')}, got "${options.catchUp}"`);
+    }
+    if (ethers.parseUnits(options.amount, tokenIn.decimals) === BigInt(0)) {
+      throw new UsageError(`The amount rounds to zero in ${tokenIn.symbol}'s smallest unit`);
+    }
+    // maxPriceAmountOut divides by the max price
+    if (options.maxPrice && ethers.parseUnits(options.maxPrice, MAX_PRICE_DECIMALS) <= BigInt(0)) {
+      throw new UsageError('The max price must be positive');
+    }
+    const startAt = options.start || new Date();
+    if (options.end && options.end < startAt) {
+      throw new UsageError('The end date is before the start of the schedule');
+    }
+
+    const schedule = await store.add({
+      network: network.name,
+      chainId: network.chainId,
+      tokenIn: options.tokenIn,
+      tokenOut: options.tokenOut,
+      symbolIn: tokenIn.symbol,
+      symbolOut: tokenOut.symbol,
+      amount: options.amount,
+      interval: options.interval,
+      intervalSeconds,
+      startAt: startAt.toISOString(),
+      endAt: options.end ? options.end.toISOString() : null,
+      maxPrice: options.maxPrice ?? null,
+      catchUp: options.catchUp,
+      recipient: options.recipient,
+      slippageBps: options.slippageBps
+    });
+    log(`DCA schedule ${schedule.id} created: ${schedule.amount} ${schedule.symbolIn} into ${schedule.symbolOut} every ${schedule.interval}`, {
+      startAt: schedule.startAt,
+      endAt: schedule.endAt,
+      maxPrice: schedule.maxPrice ? `${schedule.maxPrice} ${schedule.symbolIn}/${schedule.symbolOut}` : null,
+      catchUp: schedule.catchUp,
+      store: store.path
+    });
+
+    if (!options.watch) {
+      return { schedule };
+    }
+    return { schedule, ...await runDcaSchedules(options) };
+  }
+
+  // dca-list: the stored schedules of this chain, or cancel an active one with cancelSchedule
+  async function dcaList(options) {
+    const store = requireDcaSchedules();
+    const schedules = (await store.list()).filter((schedule) => schedule.chainId === network.chainId);
+
+    if (options.cancelSchedule !== null && options.cancelSchedule !== undefined) {
+      const schedule = schedules.find((candidate) => candidate.id === options.cancelSchedule);
+      if (!schedule) {
+        throw new UsageError(`No DCA schedule ${options.cancelSchedule} on ${network.name} in ${store.path}`);
+      }
+      if (schedule.status !== 'active') {
+        throw new UsageError(`DCA schedule ${schedule.id} is ${schedule.status}, only active schedules can be cancelled`);
+      }
+      return { cancelled: await store.update(schedule.id, { status: 'cancelled' }) };
+    }
+
+    return {
+      store: store.path,
+      schedules: schedules.map((schedule) => {
+        const { nextRunAt } = duePeriods(schedule, Date.now());
+        return { ...schedule, nextRunAt: schedule.status === 'active' && nextRunAt !== null ? new Date(nextRunAt).toISOString() : null };
+      })
+    };
+  }
+
+  // dca-run: run the active schedules, catching up on periods missed while nothing was running
+  async function dcaRun(options) {
+    return runDcaSchedules(options);
+  }
+
+  return { dca, dcaList, dcaRun };
+}
@@ -0,0 +1,270 @@
+import { ethers } from 'ethers';
+import { POOL_ABI } from './abis.js';
+import { UsageError, NoPoolError } from './errors.js';
+import { MIN_SQRT_RATIO, MAX_SQRT_RATIO, getSqrtRatioAtTick, getTickAtSqrtRatio, getAmount0Delta, getAmount1Delta, simulateSwap, loadPoolState } from './simulator.js';
+import { sqrtBigInt, sqrtPriceX96ToPrice } from './liquidity.js';
+
+// ========================
+// POOL DEPTH
+// ========================
+// Analytics on a pool state from loadPoolState. Prices are token1 per token0 as slot0 quotes
+// them, and moves are relative to the current price: +1% makes token0 1% dearer in token1.
+// Depth is the swap that moves the price that far, run through the simulator with the move as
+// its price limit, so fees and every initialized tick on the way are accounted for.
+
+// Price moves depth is reported for, in percent either way
+export const DEPTH_PERCENTS = [1, 2, 5];
+
+// The chart spans CHART_RANGE_PERCENT either side of the price in CHART_ROWS bands
+export const CHART_RANGE_PERCENT = 10;
+export const CHART_ROWS = 21;
+export const CHART_WIDTH = 40;
+
+const ZERO = BigInt(0);
+const BPS = BigInt(10000);
+// Exact input no pool can absorb, so a depth swap only stops at its price limit
+const UNLIMITED_AMOUNT = (BigInt(1) << BigInt(255)) - BigInt(1);
+
+// sqrtPriceX96 after the price moves by `percent`, kept inside the range a pool supports
+export function sqrtPriceAtMove(sqrtPriceX96, percent) {
+  const factor = BPS + BigInt(Math.round(percent * 100));
+  const moved = sqrtBigInt((sqrtPriceX96 * sqrtPriceX96 * factor) / BPS);
+  if (moved <= MIN_SQRT_RATIO) return MIN_SQRT_RATIO + BigInt(1);
+  if (moved >= MAX_SQRT_RATIO) return MAX_SQRT_RATIO - BigInt(1);
+  return moved;
+}
+
+// Bitmap words loadPoolState must read either side of the current tick to cover the chart,
+// which also covers every depth move
+export function chartWordRadius(tickSpacing) {
+  // A fall spans more ticks than a rise of the same percentage
+  const ticks = Math.ceil(-Math.log(1 - CHART_RANGE_PERCENT / 100) / Math.log(1.0001));
+  return Math.ceil(ticks / (256 * tickSpacing)) + 1;
+}
+
+/**
+ * The swap that moves the pool price by `percent`: buying token0 with token1 moves it up,
+ * selling token0 moves it down.
+ *
+ * @param {object} state From loadPoolState
+ * @param {number} percent Signed, e.g. 2 or -2
+ * @returns {{ percent: number, zeroForOne: boolean, amountIn: bigint, amountOut: bigint, sqrtPriceX96After: bigint }}
+ */
+export function depthAt(state, percent) {
+  const zeroForOne = percent < 0;
+  const result = simulateSwap(state, zeroForOne, UNLIMITED_AMOUNT, sqrtPriceAtMove(state.sqrtPriceX96, percent));
+  const [paid, received] = zeroForOne ? [result.amount0, result.amount1] : [result.amount1, result.amount0];
+  return { percent, zeroForOne, amountIn: paid, amountOut: -received, sqrtPriceX96After: result.sqrtPriceX96After };
+}
+
+// Initialized ticks of the state in ascending order, each with its liquidityNet
+function sortedTicks(state) {
+  return [...state.liquidityNet.entries()].sort(([a], [b]) => a - b);
+}
+
+// Active liquidity while the price is at `tick`, from the current liquidity and the
+// liquidityNet of every initialized tick crossed to get there
+function liquidityAtTick(state, ticks, tick) {
+  let liquidity = state.liquidity;
+  for (const [initialized, liquidityNet] of ticks) {
+    if (initialized > state.tick && initialized <= tick) liquidity += liquidityNet;
+    if (initialized <= state.tick && initialized > tick) liquidity -= liquidityNet;
+  }
+  return liquidity;
+}
+
+// Liquidity between two ticks: the tokens it holds (token0 above the current price, token1
+// below it) and its average active liquidity, weighted by ticks
+function bandLiquidity(state, ticks, tickLower, tickUpper) {
+  const bounds = [tickLower, ...ticks.map(([tick]) => tick).filter((tick) => tick > tickLower && tick < tickUpper), tickUpper];
+  let amount0 = ZERO;
+  let amount1 = ZERO;
+  let weighted = ZERO;
+
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const liquidity = liquidityAtTick(state, ticks, bounds[i]);
+    const sqrtLower = getSqrtRatioAtTick(bounds[i]);
+    const sqrtUpper = getSqrtRatioAtTick(bounds[i + 1]);
+    weighted += liquidity * BigInt(bounds[i + 1] - bounds[i]);
+    if (liquidity === ZERO) continue;
+
+    const sqrtCurrent = state.sqrtPriceX96 < sqrtLower ? sqrtLower : state.sqrtPriceX96 > sqrtUpper ? sqrtUpper : state.sqrtPriceX96;
+    if (sqrtCurrent > sqrtLower) amount1 += getAmount1Delta(sqrtLower, sqrtCurrent, liquidity, false);
+    if (sqrtCurrent < sqrtUpper) amount0 += getAmount0Delta(sqrtCurrent, sqrtUpper, liquidity, false);
+  }
+
+  const span = BigInt(Math.max(1, tickUpper - tickLower));
+  return { liquidity: weighted / span, amount0, amount1 };
+}
+
+/**
+ * Liquidity in CHART_ROWS equal price bands across CHART_RANGE_PERCENT either side of the
+ * current price, highest price first.
+ *
+ * @param {object} state From loadPoolState
+ * @returns {{ percentLower: number, percentUpper: number, tickLower: number, tickUpper: number, liquidity: bigint, amount0: bigint, amount1: bigint, current: boolean }[]}
+ */
+export function liquidityDistribution(state) {
+  const ticks = sortedTicks(state);
+  const step = (2 * CHART_RANGE_PERCENT) / CHART_ROWS;
+  const bands = [];
+
+  for (let row = 0; row < CHART_ROWS; row++) {
+    const percentLower = -CHART_RANGE_PERCENT + row * step;
+    const percentUpper = percentLower + step;
+    const tickLower = getTickAtSqrtRatio(sqrtPriceAtMove(state.sqrtPriceX96, percentLower));
+    const tickUpper = getTickAtSqrtRatio(sqrtPriceAtMove(state.sqrtPriceX96, percentUpper));
+    bands.push({
+      percentLower,
+      percentUpper,
+      tickLower,
+      tickUpper,
+      ...bandLiquidity(state, ticks, tickLower, tickUpper),
+      current: state.tick >= tickLower && state.tick < tickUpper
+    });
+  }
+
+  return bands.reverse();
+}
+
+// Human token1-per-token0 price of a tick, shortened for the chart
+function chartPrice(tick, decimals0, decimals1) {
+  return Number(sqrtPriceX96ToPrice(getSqrtRatioAtTick(tick), decimals0, decimals1, true)).toPrecision(6);
+}
+
+function signedPercent(percent) {
+  const rounded = Math.round(percent * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}%`;
+}
+
+/**
+ * ASCII depth chart of a distribution, one line per band with bars scaled to the deepest one.
+ *
+ * @param {object[]} bands From liquidityDistribution
+ * @param {number} decimals0
+ * @param {number} decimals1
+ * @param {string} priceUnit Label of the prices, e.g. WETH/USDC
+ * @returns {string[]}
+ */
+export function depthChart(bands, decimals0, decimals1, priceUnit) {
+  const deepest = bands.reduce((max, band) => band.liquidity > max ? band.liquidity : max, ZERO);
+  const rows = bands.map((band) => ({
+    move: signedPercent((band.percentLower + band.percentUpper) / 2),
+    price: chartPrice(Math.round((band.tickLower + band.tickUpper) / 2), decimals0, decimals1),
+    bar: deepest === ZERO ? 0 : Number((band.liquidity * BigInt(CHART_WIDTH)) / deepest),
+    current: band.current
+  }));
+
+  const moveWidth = Math.max(...rows.map((row) => row.move.length));
+  const priceWidth = Math.max(priceUnit.length, ...rows.map((row) => row.price.length));
+  return [
+    `${''.padStart(moveWidth)} ${priceUnit.padStart(priceWidth)} liquidity`,
+    ...rows.map((row) =>
+      `${row.move.padStart(moveWidth)} ${row.price.padStart(priceWidth)} |${'#'.repeat(row.bar).padEnd(CHART_WIDTH)}|${row.current ? ' <- price' : ''}`)
+  ];
+}
+
+// ========================
+// POOL INSPECTION
+// ========================
+
+/**
+ * Pool inspection on top of a swap client's building blocks, which createSwapClient passes in.
+ *
+ * @param {object} client
+ * @param {ethers.Provider} client.provider
+ * @param {(token: string) => Promise<object>} client.fetchTokenInfo
+ * @param {(tokenA: string, tokenB: string, fee: number) => Promise<string>} client.lookupPool
+ * @param {(value: bigint, decimals: number) => string} client.formatBigInt
+ * @param {(message: string, data?: any) => void} client.log
+ */
+export function createDepthRunner({
+  provider,
+  fetchTokenInfo,
+  lookupPool,
+  formatBigInt,
+  log,
+}) {
+  // Pools pair ERC-20s, so a pair is named with WETH rather than ETH
+  async function fetchPoolToken(token) {
+    const tokenInfo = await fetchTokenInfo(token);
+    if (tokenInfo.isNative) {
+      throw new UsageError(`Pools hold WETH, pass the WETH address instead of ${tokenInfo.symbol}`);
+    }
+    return tokenInfo;
+  }
+
+  // pool inspect: prices both ways, the depth to each move in DEPTH_PERCENTS and the liquidity
+  // distribution around the current tick, from one read of the tick bitmap
+  async function inspectPool(options) {
+    let address = options.pool;
+    if (!address) {
+      const tokenA = await fetchPoolToken(options.tokenA);
+      const tokenB = await fetchPoolToken(options.tokenB);
+      address = await lookupPool(tokenA.address, tokenB.address, options.fee);
+      if (address === ethers.ZeroAddress) {
+        throw new NoPoolError(`No ${tokenA.symbol}/${tokenB.symbol} pool exists for the ${options.fee} fee tier`);
+      }
+    }
+
+    const poolContract = new ethers.Contract(address, POOL_ABI, provider);
+    const tickSpacing = Number(await poolContract.tickSpacing());
+    log(`Loading tick state of ${address}...`);
+    const state = await loadPoolState(poolContract, { wordRadius: chartWordRadius(tickSpacing) });
+    log(`Loaded ${state.liquidityNet.size} initialized ticks in words ${state.minWord} to ${state.maxWord}`);
+    if (state.sqrtPriceX96 === BigInt(0)) {
+      throw new NoPoolError(`Pool ${address} has no price yet`);
+    }
+
+    const [token0, token1] = await Promise.all([fetchTokenInfo(state.token0), fetchTokenInfo(state.token1)]);
+    const price = (sqrtPriceX96) => sqrtPriceX96ToPrice(sqrtPriceX96, token0.decimals, token1.decimals, true);
+
+    const depth = DEPTH_PERCENTS.flatMap((percent) => [percent, -percent]).map((percent) => {
+      const move = depthAt(state, percent);
+      // Up: token1 buys token0 out of the pool; down: token0 is sold into it
+      const [tokenIn, tokenOut] = move.zeroForOne ? [token0, token1] : [token1, token0];
+      return {
+        percent,
+        priceAfter: price(move.sqrtPriceX96After),
+        tokenIn: tokenIn.symbol,
+        amountIn: formatBigInt(move.amountIn, tokenIn.decimals),
+        tokenOut: tokenOut.symbol,
+        amountOut: formatBigInt(move.amountOut, tokenOut.decimals)
+      };
+    });
+
+    const bands = liquidityDistribution(state);
+    const chart = depthChart(bands, token0.decimals, token1.decimals, `${token1.symbol}/${token0.symbol}`);
+    log(`Liquidity around the price of ${address}:\n${chart.join('\n')}`);
+
+    return {
+      address,
+      pair: `${token0.symbol}/${token1.symbol}`,
+      token0: token0.address,
+      token1: token1.address,
+      fee: state.fee,
+      tickSpacing: state.tickSpacing,
+      tick: state.tick,
+      sqrtPriceX96: state.sqrtPriceX96.toString(),
+      liquidity: state.liquidity.toString(),
+      prices: [
+        { base: token0.symbol, quote: token1.symbol, price: price(state.sqrtPriceX96) },
+        { base: token1.symbol, quote: token0.symbol, price: sqrtPriceX96ToPrice(state.sqrtPriceX96, token1.decimals, token0.decimals, false) }
+      ],
+      depth,
+      distribution: bands.map((band) => ({
+        percentLower: Math.round(band.percentLower * 100) / 100,
+        percentUpper: Math.round(band.percentUpper * 100) / 100,
+        tickLower: band.tickLower,
+        tickUpper: band.tickUpper,
+        liquidity: band.liquidity.toString(),
+        amount0: formatBigInt(band.amount0, token0.decimals),
+        amount1: formatBigInt(band.amount1, token1.decimals),
+        current: band.current
+      })),
+      chart
+    };
+  }
+
+  return { inspectPool };
+}
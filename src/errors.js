@@ -0,0 +1,118 @@
+// ========================
+// ERRORS
+// ========================
+// Every failure the client reports is a SwapError with a stable, machine-readable `code`.
+// The error that caused it (an ethers error, a JSON-RPC error or a deeper SwapError) is kept
+// as `cause`, so callers can still reach the original code, revert data and receipt.
+// Extra details (token, amounts, transaction hash, ...) are set as properties.
+
+export class SwapError extends Error {
+  constructor(message, { code = 'SWAP_FAILED', cause, ...details } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'SwapError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Bad input from the caller, e.g. a command line argument or an impossible token pair.
+// The command line reports these with the usage text and exit code 2.
+export class UsageError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_ARGUMENT', ...options });
+    this.name = 'UsageError';
+  }
+}
+
+// A method that sends transactions was called on a client created without a signer
+export class MissingSignerError extends UsageError {
+  constructor(message, options = {}) {
+    super(message, { code: 'MISSING_SIGNER', ...options });
+    this.name = 'MissingSignerError';
+  }
+}
+
+// The wallet holds less of a token than an operation spends
+export class InsufficientBalanceError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INSUFFICIENT_BALANCE', ...options });
+    this.name = 'InsufficientBalanceError';
+  }
+}
+
+// No pool or route connects the tokens
+export class NoPoolError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NO_POOL', ...options });
+    this.name = 'NoPoolError';
+  }
+}
+
+// The Quoter reverted or every route was rejected
+export class QuoteFailedError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'QUOTE_FAILED', ...options });
+    this.name = 'QuoteFailedError';
+  }
+}
+
+// A price guard refused the swap, before sending (price impact, TWAP) or on chain
+// (Too little received, Too much requested, the oracle check)
+export class SlippageExceededError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SLIPPAGE_EXCEEDED', ...options });
+    this.name = 'SlippageExceededError';
+  }
+}
+
+// The router could not be approved, by transaction or permit
+export class ApprovalError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'APPROVAL_FAILED', ...options });
+    this.name = 'ApprovalError';
+  }
+}
+
+// A transaction reverted, timed out or lost its nonce. `revert` holds the decoded reason when known.
+export class TransactionError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'TRANSACTION_FAILED', ...options });
+    this.name = 'TransactionError';
+  }
+}
+
+// The RPC endpoint could not be reached or returned an error of its own
+export class RpcError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RPC_ERROR', ...options });
+    this.name = 'RpcError';
+  }
+}
+
+// ethers and Node socket codes for a provider that failed, as opposed to a call that reverted
+const RPC_FAILURE_CODES = new Set([
+  'NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'UNKNOWN_ERROR',
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN',
+]);
+
+export function isRpcFailure(error) {
+  return Boolean(error) && RPC_FAILURE_CODES.has(error.code);
+}
+
+/**
+ * Error to rethrow from a catch block. Typed errors from deeper helpers pass through unchanged,
+ * provider failures become RpcError, and anything else is wrapped by `wrap`.
+ *
+ * @param {Error} error
+ * @param {(cause: Error) => SwapError} wrap
+ * @returns {SwapError}
+ */
+export function classifyError(error, wrap) {
+  if (error instanceof SwapError) {
+    return error;
+  }
+  if (isRpcFailure(error)) {
+    return new RpcError(`RPC request failed: ${error.shortMessage || error.message}`, { cause: error });
+  }
+  return wrap(error);
+}
@@ -0,0 +1,31 @@
+// Public entry point of the library. Importing it has no side effects: nothing connects,
+// reads the environment or logs until a client method is called.
+export {
+  createSwapClient,
+  DEFAULT_SWAP_OPTIONS,
+  NATIVE_SYMBOL,
+} from './client.js';
+export { NETWORKS, DEFAULT_NETWORK, loadNetwork, resolveTokenAddress, verifyChainId, explorerTxUrl } from './networks.js';
+export {
+  SwapError,
+  UsageError,
+  MissingSignerError,
+  InsufficientBalanceError,
+  NoPoolError,
+  QuoteFailedError,
+  SlippageExceededError,
+  ApprovalError,
+  TransactionError,
+  RpcError,
+} from './errors.js';
+export { silentLogger, createConsoleLogger } from './logger.js';
+export { createTransactionManager, FEE_STRATEGIES, DEFAULT_TRANSACTION_OPTIONS } from './transactions.js';
+export { decodeSwapReceipt, effectivePrice } from './receipts.js';
+export { decodeRevert, explainRevert } from './reverts.js';
+export { createJournal, toCsv, realisedPnl, DEFAULT_JOURNAL_PATH } from './journal.js';
+export { BATCH_ERROR_POLICIES } from './batch.js';
+export { createLimitOrderStore, sqrtPriceToPrice, DEFAULT_LIMIT_ORDERS_PATH } from './limits.js';
+export { createDcaStore, duePeriods, CATCH_UP_POLICIES, DEFAULT_DCA_PATH } from './dca.js';
+export * as simulator from './simulator.js';
+export * as liquidity from './liquidity.js';
+export * as depth from './depth.js';
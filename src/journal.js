@@ -0,0 +1,259 @@
+import { appendFile, open, readFile, writeFile } from 'node:fs/promises';
+import { ethers } from 'ethers';
+
+// ========================
+// TRADE JOURNAL
+// ========================
+// Quotes, approvals and swap attempts are appended to a JSON Lines file, one entry per line,
+// so a crash never corrupts earlier entries and the file can be inspected with standard tools.
+// A crash mid-append can leave a partial line: the next entry starts on a line of its own and
+// reads skip lines that do not parse.
+// Amounts are stored in human units as strings, exactly as the results report them.
+
+export const DEFAULT_JOURNAL_PATH = 'swaps-journal.jsonl';
+
+export const JOURNAL_TYPES = ['quote', 'approval', 'swap'];
+
+/**
+ * @typedef {object} JournalToken
+ * @property {string} address WETH9 for native ETH
+ * @property {string} symbol
+ * @property {number} decimals
+ */
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {string} timestamp ISO 8601
+ * @property {string} network
+ * @property {number} chainId
+ * @property {'quote'|'approval'|'swap'} type
+ * @property {'quoted'|'success'|'failed'|'signed'|'dry-run'} status
+ * @property {string|null} [txHash]
+ * @property {JournalToken} [tokenIn]
+ * @property {JournalToken} [tokenOut]
+ * @property {string} [amountIn]
+ * @property {string} [amountOut]
+ * @property {string} [quotedAmountIn]
+ * @property {string} [quotedAmountOut]
+ * @property {string} [quotedPrice]
+ * @property {string} [effectivePrice]
+ * @property {number} [slippageBps]
+ * @property {string} [route]
+ * @property {string} [method]
+ * @property {string} [gasUsed]
+ * @property {string} [gasPrice] gwei
+ * @property {string} [feeEth]
+ * @property {{ code: string, message: string }} [error]
+ */
+
+/**
+ * Journal backed by a JSON Lines file, created on the first write.
+ *
+ * @param {string} [path]
+ */
+export function createJournal(path = DEFAULT_JOURNAL_PATH) {
+  // Whether the file ends without a newline, as an interrupted append leaves it
+  async function endsMidLine() {
+    let handle;
+    try {
+      handle = await open(path, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    try {
+      const { size } = await handle.stat();
+      if (size === 0) return false;
+      const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+      return buffer[0] !== 0x0a;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /** @param {JournalEntry} entry */
+  async function record(entry) {
+    const line = JSON.stringify(entry, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+    await appendFile(path, `${await endsMidLine() ? '\n' : ''}${line}\n`, 'utf8');
+  }
+
+  // Entries of the file, without the partial lines of interrupted appends
+  function parseEntries(text) {
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (line.trim() === '') continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // Partial line of an interrupted append
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Entries in the order they were written, optionally filtered.
+   *
+   * @param {object} [filter]
+   * @param {number} [filter.chainId]
+   * @param {string[]} [filter.tokens] Addresses, or ETH for native swaps; an entry matches either side
+   * @param {Date} [filter.since]
+   * @param {Date} [filter.until]
+   * @param {string[]} [filter.types]
+   * @returns {Promise<JournalEntry[]>}
+   */
+  async function read({ chainId, tokens = [], since, until, types = [] } = {}) {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const wanted = tokens.map((token) => token.toLowerCase());
+    const matchesToken = (token) => token && (wanted.includes(token.address.toLowerCase()) || wanted.includes(token.symbol.toLowerCase()));
+
+    return parseEntries(text)
+      .filter((entry) => chainId === undefined || entry.chainId === chainId)
+      .filter((entry) => types.length === 0 || types.includes(entry.type))
+      .filter((entry) => wanted.length === 0 || matchesToken(entry.tokenIn) || matchesToken(entry.tokenOut) || matchesToken(entry.token))
+      .filter((entry) => !since || new Date(entry.timestamp) >= since)
+      .filter((entry) => !until || new Date(entry.timestamp) <= until);
+  }
+
+  return { path, record, read };
+}
+
+// ========================
+// CSV EXPORT
+// ========================
+
+const CSV_COLUMNS = [
+  ['timestamp', (entry) => entry.timestamp],
+  ['network', (entry) => entry.network],
+  ['type', (entry) => entry.type],
+  ['status', (entry) => entry.status],
+  ['txHash', (entry) => entry.txHash],
+  ['tokenInSymbol', (entry) => (entry.tokenIn || entry.token)?.symbol],
+  ['tokenIn', (entry) => (entry.tokenIn || entry.token)?.address],
+  ['amountIn', (entry) => entry.amountIn ?? entry.amount],
+  ['tokenOutSymbol', (entry) => entry.tokenOut?.symbol],
+  ['tokenOut', (entry) => entry.tokenOut?.address],
+  ['amountOut', (entry) => entry.amountOut],
+  ['quotedAmountIn', (entry) => entry.quotedAmountIn],
+  ['quotedAmountOut', (entry) => entry.quotedAmountOut],
+  ['quotedPrice', (entry) => entry.quotedPrice],
+  ['effectivePrice', (entry) => entry.effectivePrice],
+  ['slippageBps', (entry) => entry.slippageBps],
+  ['route', (entry) => entry.route],
+  ['method', (entry) => entry.method],
+  ['gasUsed', (entry) => entry.gasUsed],
+  ['gasPriceGwei', (entry) => entry.gasPrice],
+  ['feeEth', (entry) => entry.feeEth],
+  ['error', (entry) => entry.error?.message],
+];
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 CSV of journal entries, one row per entry
+export function toCsv(entries) {
+  const rows = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const entry of entries) {
+    rows.push(CSV_COLUMNS.map(([, get]) => csvField(get(entry))).join(','));
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+export async function exportCsv(path, entries) {
+  await writeFile(path, toCsv(entries), 'utf8');
+}
+
+// ========================
+// REALISED PNL
+// ========================
+// Average-cost accounting in one currency token. A swap paying the currency for a token buys it
+// at that cost; a swap of the token for the currency sells it, realising the proceeds less the
+// average cost of the amount sold. Swaps that do not involve the currency cannot be priced and
+// are only counted. ETH and WETH are the same token here, since both are recorded as WETH9.
+
+/**
+ * Realised profit and loss per token from successful swaps.
+ *
+ * @param {JournalEntry[]} entries
+ * @param {JournalToken} currency
+ */
+export function realisedPnl(entries, currency) {
+  const currencyAddress = currency.address.toLowerCase();
+  const positions = new Map();
+  let unpriced = 0;
+  let feesWei = BigInt(0);
+
+  const position = (token) => {
+    const key = token.address.toLowerCase();
+    if (!positions.has(key)) {
+      positions.set(key, {
+        token, bought: BigInt(0), sold: BigInt(0), holding: BigInt(0), cost: BigInt(0),
+        realised: BigInt(0), unmatched: BigInt(0), trades: 0,
+      });
+    }
+    return positions.get(key);
+  };
+
+  for (const entry of entries) {
+    if (entry.type !== 'swap' || entry.status !== 'success') continue;
+    if (entry.feeEth) feesWei += ethers.parseEther(entry.feeEth);
+
+    const amountIn = ethers.parseUnits(entry.amountIn, entry.tokenIn.decimals);
+    const amountOut = ethers.parseUnits(entry.amountOut, entry.tokenOut.decimals);
+
+    if (entry.tokenIn.address.toLowerCase() === currencyAddress) {
+      // Buy: the currency paid is the cost of what was received
+      const bought = position(entry.tokenOut);
+      bought.bought += amountOut;
+      bought.holding += amountOut;
+      bought.cost += amountIn;
+      bought.trades++;
+    } else if (entry.tokenOut.address.toLowerCase() === currencyAddress) {
+      // Sell: proceeds less the average cost of the part that was bought here
+      const sold = position(entry.tokenIn);
+      const matched = amountIn < sold.holding ? amountIn : sold.holding;
+      const matchedCost = sold.holding > BigInt(0) ? (sold.cost * matched) / sold.holding : BigInt(0);
+      const matchedProceeds = (amountOut * matched) / amountIn;
+
+      sold.realised += matchedProceeds - matchedCost;
+      sold.cost -= matchedCost;
+      sold.holding -= matched;
+      sold.unmatched += amountIn - matched;
+      sold.sold += amountIn;
+      sold.trades++;
+    } else {
+      unpriced++;
+    }
+  }
+
+  const format = (value, decimals) => ethers.formatUnits(value, decimals);
+  return {
+    currency: currency.symbol,
+    tokens: [...positions.values()].map((p) => ({
+      token: p.token.address,
+      symbol: p.token.symbol,
+      trades: p.trades,
+      bought: format(p.bought, p.token.decimals),
+      sold: format(p.sold, p.token.decimals),
+      holding: format(p.holding, p.token.decimals),
+      costBasis: format(p.cost, currency.decimals),
+      averageCost: p.holding > BigInt(0) ?
+        format((p.cost * BigInt(10) ** BigInt(p.token.decimals)) / p.holding, currency.decimals) : null,
+      realisedPnl: format(p.realised, currency.decimals),
+      // Sold without a recorded purchase, so no cost basis to realise against
+      soldWithoutBasis: format(p.unmatched, p.token.decimals),
+    })),
+    unpricedSwaps: unpriced,
+    feesEth: format(feesWei, 18),
+  };
+}
@@ -0,0 +1,383 @@
+import { ethers } from 'ethers';
+import { POOL_ABI } from './abis.js';
+import { UsageError, SlippageExceededError, QuoteFailedError, RpcError, classifyError } from './errors.js';
+import { createJsonStore } from './store.js';
+
+// ========================
+// LIMIT ORDERS
+// ========================
+// A limit order sells an exact amount once the pool price reaches a target, given as tokenOut
+// per tokenIn in human units ("sell 10 WETH when WETH/USDC >= 3500"). Orders are kept in a JSON
+// file (see store.js) so a restarted watcher picks up the pending ones.
+
+export const DEFAULT_LIMIT_ORDERS_PATH = 'limit-orders.json';
+
+export const LIMIT_ORDER_STATUSES = ['pending', 'filled', 'failed', 'cancelled'];
+
+// Digits after the decimal point of limit and pool prices
+export const LIMIT_PRICE_DECIMALS = 18;
+
+const Q192 = BigInt(1) << BigInt(192);
+
+// Pool fees are in hundredths of a basis point
+const FEE_DENOMINATOR = BigInt(1000000);
+
+/**
+ * @typedef {object} LimitOrder
+ * @property {number} id
+ * @property {string} network
+ * @property {number} chainId
+ * @property {string} tokenIn Address or ETH
+ * @property {string} tokenOut Address or ETH
+ * @property {string} symbolIn
+ * @property {string} symbolOut
+ * @property {string} amount Exact input, in human units
+ * @property {string} limitPrice Lowest tokenOut per tokenIn the order sells at
+ * @property {string} minAmountOut amount times limitPrice, the swap's hard minimum output
+ * @property {string} pool Pool whose price is watched
+ * @property {string|null} recipient
+ * @property {number|null} slippageBps
+ * @property {'pending'|'filled'|'failed'|'cancelled'} status
+ * @property {string} createdAt ISO 8601
+ * @property {string|null} [updatedAt]
+ * @property {string|null} [txHash]
+ * @property {string|null} [amountOut]
+ * @property {string|null} [effectivePrice]
+ * @property {{ code: string, message: string }|null} [error] Why it failed, or the last retry that did not fill
+ */
+
+// Parse a human price into the scaled BigInt limit orders compare with
+export function parseLimitPrice(value) {
+  return ethers.parseUnits(value, LIMIT_PRICE_DECIMALS);
+}
+
+/**
+ * tokenOut per tokenIn of a pool's sqrtPriceX96, scaled by 10^LIMIT_PRICE_DECIMALS
+ *
+ * @param {bigint} sqrtPriceX96
+ * @param {boolean} tokenInIsToken0
+ * @param {number} decimalsIn
+ * @param {number} decimalsOut
+ * @returns {bigint}
+ */
+export function sqrtPriceToPrice(sqrtPriceX96, tokenInIsToken0, decimalsIn, decimalsOut) {
+  const priceX192 = sqrtPriceX96 * sqrtPriceX96;
+  const scale = BigInt(10) ** BigInt(decimalsIn + LIMIT_PRICE_DECIMALS);
+  const unitsOut = BigInt(10) ** BigInt(decimalsOut);
+  // slot0 prices token1 in token0 units; selling token1 inverts it
+  return tokenInIsToken0 ?
+    (priceX192 * scale) / (Q192 * unitsOut) :
+    (Q192 * scale) / (priceX192 * unitsOut);
+}
+
+// Price a swap through a pool at `price` fetches once the pool's fee is taken from the input
+export function priceAfterFee(price, fee) {
+  return price * (FEE_DENOMINATOR - BigInt(fee)) / FEE_DENOMINATOR;
+}
+
+// Output the order must receive at its limit price, rounded up so it never sells below it
+export function limitAmountOut(amountIn, decimalsIn, decimalsOut, limitPrice) {
+  const numerator = amountIn * limitPrice * BigInt(10) ** BigInt(decimalsOut);
+  const denominator = BigInt(10) ** BigInt(decimalsIn + LIMIT_PRICE_DECIMALS);
+  return numerator / denominator + (numerator % denominator > BigInt(0) ? BigInt(1) : BigInt(0));
+}
+
+/**
+ * Limit orders backed by a JSON file, created on the first write.
+ *
+ * @param {string} [path]
+ * @returns {{ path: string, list: () => Promise<LimitOrder[]>, add: (order: object) => Promise<LimitOrder>, update: (id: number, changes: Partial<LimitOrder>) => Promise<LimitOrder> }}
+ */
+export function createLimitOrderStore(path = DEFAULT_LIMIT_ORDERS_PATH) {
+  const store = createJsonStore(path, 'orders', 'limit order');
+  // New orders start pending
+  return { ...store, add: (order) => store.add({ ...order, status: 'pending' }) };
+}
+
+// ========================
+// LIMIT ORDER RUNNER
+// ========================
+// Pending orders are checked against their pool on every new block. The pool's slot0 price, less
+// the pool fee, has to reach the limit first; that costs one call per order and block. Only then is
+// the order's own amount quoted, since price impact can still keep it under the limit, and an order
+// whose quote clears the limit is swapped with the limit as a hard minimum output. When the swap is
+// refused anyway (the price moving back, or the chain refusing the minimum), the order stays pending
+// for a later block. The store is re-read each block, so orders placed or cancelled by another
+// process are picked up, and only written when an order is placed, filled, failed or cancelled.
+
+/**
+ * Limit order commands on top of a swap client's building blocks, which createSwapClient passes in.
+ *
+ * @param {object} client
+ * @param {ethers.Provider} client.provider
+ * @param {object} client.network
+ * @param {object|null} client.limitOrders Store from createLimitOrderStore
+ * @param {(token: string) => Promise<object>} client.fetchTokenInfo
+ * @param {Function} client.assertDistinctTokens
+ * @param {Function} client.getPoolInfo Best direct pool of a pair
+ * @param {Function} client.prepareQuote Exact input quote with its guards, for SwapOptions
+ * @param {(options: object) => Promise<object>} client.swapTokens
+ * @param {() => ethers.Wallet} client.requireSigner
+ * @param {(value: bigint, decimals: number) => string} client.formatBigInt
+ * @param {(message: string, data?: any) => void} client.log
+ * @param {(message: string, error: Error) => void} client.logError
+ */
+export function createLimitOrderRunner({
+  provider,
+  network,
+  limitOrders,
+  fetchTokenInfo,
+  assertDistinctTokens,
+  getPoolInfo,
+  prepareQuote,
+  swapTokens,
+  requireSigner,
+  formatBigInt,
+  log,
+  logError,
+}) {
+  function requireLimitOrders() {
+    if (!limitOrders) {
+      throw new UsageError('Limit orders need an order store, create the client with one');
+    }
+    return limitOrders;
+  }
+
+  // Swap options of an order, on top of the options the watcher was started with
+  function orderSwapOptions(order, options) {
+    return {
+      ...options,
+      tokenIn: order.tokenIn,
+      tokenOut: order.tokenOut,
+      amount: order.amount,
+      exactOutput: false,
+      recipient: order.recipient,
+      slippageBps: order.slippageBps ?? options.slippageBps,
+      minAmountOut: order.minAmountOut,
+      dryRun: false
+    };
+  }
+
+  // Swap an order whose quote reached its limit. Returns the stored order, still pending when it did not fill.
+  async function fillLimitOrder(order, options) {
+    const store = requireLimitOrders();
+    try {
+      const result = await swapTokens(orderSwapOptions(order, options));
+      log(`Limit order ${order.id} filled: ${result.amountIn} ${order.symbolIn} for ${result.amountOut} ${order.symbolOut}`);
+      return store.update(order.id, {
+        status: 'filled',
+        txHash: result.txHash,
+        amountOut: result.amountOut,
+        effectivePrice: result.effectivePrice,
+        error: null
+      });
+    } catch (error) {
+      const failure = { code: error.code ?? null, message: error.message };
+      if (error instanceof SlippageExceededError || error instanceof RpcError) {
+        log(`Limit order ${order.id} not filled, it stays pending: ${error.message}`);
+        return store.update(order.id, { error: failure });
+      }
+      logError(`Limit order ${order.id} failed`, error);
+      return store.update(order.id, { status: 'failed', txHash: error.transactionHash ?? null, error: failure });
+    }
+  }
+
+  // Watch the pending orders of this chain until none is left. Resolves with the orders it settled.
+  async function watchLimitOrders(options) {
+    const store = requireLimitOrders();
+    requireSigner();
+
+    const tokens = new Map();
+    const fees = new Map();
+    const lastStates = new Map();
+    const settled = [];
+
+    async function tokenInfo(token) {
+      if (!tokens.has(token)) {
+        tokens.set(token, await fetchTokenInfo(token));
+      }
+      return tokens.get(token);
+    }
+
+    // Current tokenOut per tokenIn of an order's pool and the pool's fee, the price scaled like parseLimitPrice
+    async function poolPrice(order, tokenIn, tokenOut) {
+      const poolContract = new ethers.Contract(order.pool, POOL_ABI, provider);
+      if (!fees.has(order.pool)) {
+        fees.set(order.pool, await poolContract.fee());
+      }
+      const slot0 = await poolContract.slot0();
+      const tokenInIsToken0 = tokenIn.address.toLowerCase() < tokenOut.address.toLowerCase();
+      return {
+        price: sqrtPriceToPrice(slot0.sqrtPriceX96, tokenInIsToken0, tokenIn.decimals, tokenOut.decimals),
+        fee: fees.get(order.pool)
+      };
+    }
+
+    // Log where an order stands when that changed since the last block
+    function report(order, blockNumber, state) {
+      if (lastStates.get(order.id) === state) return;
+      lastStates.set(order.id, state);
+      log(`Block ${blockNumber}: limit order ${order.id} ${state}`);
+    }
+
+    // Whether the order's own amount quotes at or above its limit, passing the swap's guards
+    async function quoteReachesLimit(order, tokenIn, tokenOut, blockNumber, options) {
+      const amountIn = ethers.parseUnits(order.amount, tokenIn.decimals);
+      let quote;
+      try {
+        quote = await prepareQuote(tokenIn, tokenOut, amountIn, orderSwapOptions(order, options));
+      } catch (error) {
+        if (!(error instanceof QuoteFailedError)) throw error;
+        report(order, blockNumber, `could not be quoted: ${error.message}`);
+        return false;
+      }
+
+      const quoted = `quotes ${formatBigInt(quote.quotedAmountOut, tokenOut.decimals)} of ${order.minAmountOut} ${order.symbolOut}`;
+      if (quote.quotedAmountOut < ethers.parseUnits(order.minAmountOut, tokenOut.decimals)) {
+        report(order, blockNumber, quoted);
+        return false;
+      }
+      const blocked = quote.impactBlocked || (quote.oracle && quote.oracle.blocked);
+      if (blocked) {
+        report(order, blockNumber, `${quoted}, held back: ${blocked}`);
+        return false;
+      }
+      return true;
+    }
+
+    // One pass over the pending orders; returns how many are still pending
+    async function check(blockNumber) {
+      const pending = (await store.list()).filter((order) => order.status === 'pending' && order.chainId === network.chainId);
+      let remaining = pending.length;
+
+      for (const order of pending) {
+        const tokenIn = await tokenInfo(order.tokenIn);
+        const tokenOut = await tokenInfo(order.tokenOut);
+        const { price, fee } = await poolPrice(order, tokenIn, tokenOut);
+
+        // A swap at the pool price still pays the fee, so the price less the fee has to reach the limit
+        const afterFee = priceAfterFee(price, fee);
+        if (afterFee < parseLimitPrice(order.limitPrice)) {
+          report(order, blockNumber, `at ${ethers.formatUnits(afterFee, LIMIT_PRICE_DECIMALS)} after the pool fee, of ${order.limitPrice} ${order.symbolOut}/${order.symbolIn}`);
+          continue;
+        }
+        if (!await quoteReachesLimit(order, tokenIn, tokenOut, blockNumber, options)) continue;
+
+        log(`Limit order ${order.id} reached its price, swapping ${order.amount} ${order.symbolIn}...`);
+        lastStates.delete(order.id);
+        const updated = await fillLimitOrder(order, options);
+        if (updated.status !== 'pending') {
+          settled.push(updated);
+          remaining--;
+        }
+      }
+      return remaining;
+    }
+
+    if (await check(await provider.getBlockNumber()) === 0) {
+      return { orders: settled, pending: 0 };
+    }
+
+    log(`Watching limit orders on every new block...`);
+    return new Promise((resolve, reject) => {
+      // A fill spans several blocks, during which new blocks are skipped
+      let checking = false;
+
+      async function onBlock(blockNumber) {
+        if (checking) return;
+        checking = true;
+        try {
+          if (await check(blockNumber) === 0) {
+            await provider.off('block', onBlock);
+            resolve({ orders: settled, pending: 0 });
+          }
+        } catch (error) {
+          const classified = classifyError(error, (cause) => cause);
+          // A flaky RPC endpoint only costs this block's check
+          if (classified instanceof RpcError) {
+            logError(`Block ${blockNumber}: could not check limit orders`, classified);
+          } else {
+            await provider.off('block', onBlock);
+            reject(classified);
+          }
+        } finally {
+          checking = false;
+        }
+      }
+
+      provider.on('block', onBlock).catch(reject);
+    });
+  }
+
+  // limit: store an order selling amount once the best direct pool's price reaches limitPrice, then watch
+  async function limit(options) {
+    const store = requireLimitOrders();
+    requireSigner();
+
+    const tokenIn = await fetchTokenInfo(options.tokenIn);
+    const tokenOut = await fetchTokenInfo(options.tokenOut);
+    assertDistinctTokens(tokenIn, tokenOut);
+
+    const amountIn = ethers.parseUnits(options.amount, tokenIn.decimals);
+    const limitPrice = parseLimitPrice(options.limitPrice);
+    if (limitPrice === BigInt(0)) {
+      throw new UsageError('The limit price must be positive');
+    }
+
+    const pool = await getPoolInfo(tokenIn, tokenOut, amountIn);
+    const currentPrice = sqrtPriceToPrice(pool.slot0.sqrtPriceX96, pool.tokenInIsToken0, tokenIn.decimals, tokenOut.decimals);
+
+    const order = await store.add({
+      network: network.name,
+      chainId: network.chainId,
+      tokenIn: options.tokenIn,
+      tokenOut: options.tokenOut,
+      symbolIn: tokenIn.symbol,
+      symbolOut: tokenOut.symbol,
+      amount: options.amount,
+      limitPrice: options.limitPrice,
+      minAmountOut: formatBigInt(limitAmountOut(amountIn, tokenIn.decimals, tokenOut.decimals, limitPrice), tokenOut.decimals),
+      pool: pool.address,
+      recipient: options.recipient,
+      slippageBps: options.slippageBps
+    });
+    log(`Limit order ${order.id} placed: sell ${order.amount} ${order.symbolIn} for at least ${order.minAmountOut} ${order.symbolOut}`, {
+      limitPrice: `${order.limitPrice} ${order.symbolOut}/${order.symbolIn}`,
+      currentPrice: `${ethers.formatUnits(currentPrice, LIMIT_PRICE_DECIMALS)} ${order.symbolOut}/${order.symbolIn}`,
+      pool: order.pool,
+      store: store.path
+    });
+
+    if (!options.watch) {
+      return { order, currentPrice: ethers.formatUnits(currentPrice, LIMIT_PRICE_DECIMALS) };
+    }
+    const watched = await watchLimitOrders(options);
+    return { order: watched.orders.find((settled) => settled.id === order.id) || order, ...watched };
+  }
+
+  // limits: the stored limit orders of this chain, or cancel a pending one with cancelOrder
+  async function limits(options) {
+    const store = requireLimitOrders();
+    const orders = (await store.list()).filter((order) => order.chainId === network.chainId);
+
+    if (options.cancelOrder !== null && options.cancelOrder !== undefined) {
+      const order = orders.find((candidate) => candidate.id === options.cancelOrder);
+      if (!order) {
+        throw new UsageError(`No limit order ${options.cancelOrder} on ${network.name} in ${store.path}`);
+      }
+      if (order.status !== 'pending') {
+        throw new UsageError(`Limit order ${order.id} is ${order.status}, only pending orders can be cancelled`);
+      }
+      return { cancelled: await store.update(order.id, { status: 'cancelled' }) };
+    }
+
+    return { store: store.path, orders };
+  }
+
+  // watch: resume watching the pending limit orders, e.g. after a restart
+  async function watch(options) {
+    return watchLimitOrders(options);
+  }
+
+  return { limit, limits, watch };
+}
@@ -0,0 +1,705 @@
+import { ethers } from 'ethers';
+import { POOL_ABI, POSITION_MANAGER_ABI } from './abis.js';
+import { minimumAmountOut } from './slippage.js';
+import { UsageError, NoPoolError, TransactionError, classifyError } from './errors.js';
+import { MIN_TICK, MAX_TICK, MIN_SQRT_RATIO, MAX_SQRT_RATIO, getSqrtRatioAtTick, getTickAtSqrtRatio, getAmount0Delta, getAmount1Delta } from './simulator.js';
+
+// ========================
+// CONCENTRATED LIQUIDITY MATH
+// ========================
+// Prices on the command line are human prices of a quote token per base token, whichever of them
+// the pool sorts first. They are converted to sqrtPriceX96 and ticks with BigInt arithmetic only,
+// and back again for reports. Liquidity and amounts follow the periphery's LiquidityAmounts:
+// liquidity rounds down and the amounts a position takes round up, like the pool's mint.
+
+const Q96 = BigInt(1) << BigInt(96);
+const Q192 = BigInt(1) << BigInt(192);
+
+// Digits after the decimal point of range prices
+export const RANGE_PRICE_DECIMALS = 18;
+
+// amount0Max and amount1Max that collect everything a position is owed
+export const MAX_UINT128 = (BigInt(1) << BigInt(128)) - BigInt(1);
+
+// Integer square root, rounded down
+export function sqrtBigInt(value) {
+  if (value < BigInt(2)) return value;
+  let x = value;
+  let y = (x + BigInt(1)) / BigInt(2);
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / BigInt(2);
+  }
+  return x;
+}
+
+/**
+ * sqrtPriceX96 of a human price, clamped to the range the pool supports.
+ *
+ * @param {string} price Quote token per base token, e.g. 3500 USDC per WETH
+ * @param {number} baseDecimals
+ * @param {number} quoteDecimals
+ * @param {boolean} baseIsToken0 slot0 prices token1 per token0, so a token1 base inverts the price
+ * @returns {bigint}
+ */
+export function priceToSqrtPriceX96(price, baseDecimals, quoteDecimals, baseIsToken0) {
+  const scaled = ethers.parseUnits(price, RANGE_PRICE_DECIMALS);
+  const quoteUnits = scaled * BigInt(10) ** BigInt(quoteDecimals);
+  const baseUnits = BigInt(10) ** BigInt(baseDecimals + RANGE_PRICE_DECIMALS);
+  const sqrtPriceX96 = baseIsToken0 ?
+    sqrtBigInt((quoteUnits * Q192) / baseUnits) :
+    sqrtBigInt((baseUnits * Q192) / quoteUnits);
+
+  if (sqrtPriceX96 < MIN_SQRT_RATIO) return MIN_SQRT_RATIO;
+  if (sqrtPriceX96 >= MAX_SQRT_RATIO) return MAX_SQRT_RATIO - BigInt(1);
+  return sqrtPriceX96;
+}
+
+// Human quote-per-base price of a sqrtPriceX96, the inverse of priceToSqrtPriceX96
+export function sqrtPriceX96ToPrice(sqrtPriceX96, baseDecimals, quoteDecimals, baseIsToken0) {
+  const priceX192 = sqrtPriceX96 * sqrtPriceX96;
+  const scale = BigInt(10) ** BigInt(baseDecimals + RANGE_PRICE_DECIMALS);
+  const quoteUnits = BigInt(10) ** BigInt(quoteDecimals);
+  const scaled = baseIsToken0 ?
+    (priceX192 * scale) / (Q192 * quoteUnits) :
+    (Q192 * scale) / (priceX192 * quoteUnits);
+  return ethers.formatUnits(scaled, RANGE_PRICE_DECIMALS);
+}
+
+// Human quote-per-base price at a tick, for reporting aligned range bounds
+export function tickToPrice(tick, baseDecimals, quoteDecimals, baseIsToken0) {
+  return sqrtPriceX96ToPrice(getSqrtRatioAtTick(tick), baseDecimals, quoteDecimals, baseIsToken0);
+}
+
+// Usable tick closest to `tick`: a multiple of tickSpacing within MIN_TICK and MAX_TICK
+export function nearestUsableTick(tick, tickSpacing) {
+  const rounded = Math.round(tick / tickSpacing) * tickSpacing;
+  const min = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+  const max = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+  return Math.min(max, Math.max(min, rounded));
+}
+
+/**
+ * Aligned tick range of two human prices, given in either order.
+ *
+ * @returns {{ tickLower: number, tickUpper: number }}
+ */
+export function priceRangeToTicks(priceA, priceB, baseDecimals, quoteDecimals, baseIsToken0, tickSpacing) {
+  const ticks = [priceA, priceB]
+    .map((price) => getTickAtSqrtRatio(priceToSqrtPriceX96(price, baseDecimals, quoteDecimals, baseIsToken0)))
+    .map((tick) => nearestUsableTick(tick, tickSpacing))
+    .sort((a, b) => a - b);
+  return { tickLower: ticks[0], tickUpper: ticks[1] };
+}
+
+/**
+ * Most liquidity amount0 and amount1 can provide in a range at the current price. A null amount
+ * is unlimited; the side the range needs at this price must be given.
+ *
+ * @param {bigint} sqrtPriceX96 Current pool price
+ * @param {number} tickLower
+ * @param {number} tickUpper
+ * @param {bigint|null} amount0
+ * @param {bigint|null} amount1
+ * @returns {bigint}
+ */
+export function liquidityForAmounts(sqrtPriceX96, tickLower, tickUpper, amount0, amount1) {
+  const sqrtLower = getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = getSqrtRatioAtTick(tickUpper);
+
+  const fromAmount0 = (lower) => amount0 === null ? null :
+    (amount0 * ((lower * sqrtUpper) / Q96)) / (sqrtUpper - lower);
+  const fromAmount1 = (upper) => amount1 === null ? null :
+    (amount1 * Q96) / (upper - sqrtLower);
+
+  // Below the range the position holds only token0, above it only token1
+  if (sqrtPriceX96 <= sqrtLower) return fromAmount0(sqrtLower);
+  if (sqrtPriceX96 >= sqrtUpper) return fromAmount1(sqrtUpper);
+
+  const liquidity0 = fromAmount0(sqrtPriceX96);
+  const liquidity1 = fromAmount1(sqrtPriceX96);
+  if (liquidity0 === null) return liquidity1;
+  if (liquidity1 === null) return liquidity0;
+  return liquidity0 < liquidity1 ? liquidity0 : liquidity1;
+}
+
+// Token amounts a liquidity amount holds in a range at the current price
+export function amountsForLiquidity(sqrtPriceX96, tickLower, tickUpper, liquidity, roundUp) {
+  const sqrtLower = getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = getSqrtRatioAtTick(tickUpper);
+  const zero = BigInt(0);
+
+  if (sqrtPriceX96 <= sqrtLower) {
+    return { amount0: getAmount0Delta(sqrtLower, sqrtUpper, liquidity, roundUp), amount1: zero };
+  }
+  if (sqrtPriceX96 >= sqrtUpper) {
+    return { amount0: zero, amount1: getAmount1Delta(sqrtLower, sqrtUpper, liquidity, roundUp) };
+  }
+  return {
+    amount0: getAmount0Delta(sqrtPriceX96, sqrtUpper, liquidity, roundUp),
+    amount1: getAmount1Delta(sqrtLower, sqrtPriceX96, liquidity, roundUp),
+  };
+}
+
+// First event of a name the position manager emitted in a receipt, or null
+export function findPositionEvent(receipt, positionManager, name) {
+  const address = positionManager.target.toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) continue;
+    const event = positionManager.interface.parseLog(log);
+    if (event && event.name === name) return event;
+  }
+  return null;
+}
+
+// ========================
+// LIQUIDITY POSITIONS
+// ========================
+// Positions are NFTs of the position manager. The caller names a pair as tokenA/tokenB and gives
+// prices as tokenB per tokenA; the pool sorts the tokens by address into token0/token1, so every
+// amount and price is mapped between the two orders here. Existing positions are reported and
+// changed in the pool's own token0/token1 order.
+
+/**
+ * Liquidity position commands on top of a swap client's building blocks, which createSwapClient passes in.
+ *
+ * @param {object} client
+ * @param {ethers.Provider} client.provider
+ * @param {object} client.network Its contracts.positionManager holds the positions
+ * @param {(token: string) => Promise<object>} client.fetchTokenInfo
+ * @param {(tokenA: string, tokenB: string, fee: number) => Promise<string>} client.lookupPool
+ * @param {() => void} client.forgetPools Drops cached pool lookups once a pool was created
+ * @param {() => Promise<number[]>} client.discoverFeeTiers Fee tiers the factory has enabled
+ * @param {(tokenInfo: object, wallet: { address: string }) => Promise<bigint>} client.checkBalance
+ * @param {Function} client.insufficientBalance
+ * @param {Function} client.approveToken
+ * @param {(transaction: object, label: string) => Promise<ethers.TransactionReceipt>} client.sendTransaction
+ * @param {() => ethers.Wallet} client.requireSigner
+ * @param {(value: bigint, decimals: number) => string} client.formatBigInt
+ * @param {(message: string, data?: any) => void} client.log
+ */
+export function createLiquidityRunner({
+  provider,
+  network,
+  fetchTokenInfo,
+  lookupPool,
+  forgetPools,
+  discoverFeeTiers,
+  checkBalance,
+  insufficientBalance,
+  approveToken,
+  sendTransaction,
+  requireSigner,
+  formatBigInt,
+  log,
+}) {
+  const positionManagerContract = new ethers.Contract(network.contracts.positionManager, POSITION_MANAGER_ABI, provider);
+
+  // Position tokens are ERC-20s; the position manager only takes ETH through a multicall
+  async function fetchPositionToken(token) {
+    const tokenInfo = await fetchTokenInfo(token);
+    if (tokenInfo.isNative) {
+      throw new UsageError(`Liquidity positions hold WETH, pass the WETH address instead of ${tokenInfo.symbol}`);
+    }
+    return tokenInfo;
+  }
+
+  // Initialized pool of a pair and fee tier, with its price and tick spacing
+  async function loadPositionPool(tokenA, tokenB, fee) {
+    if (tokenA.address.toLowerCase() === tokenB.address.toLowerCase()) {
+      throw new UsageError(`A position needs two different tokens, got ${tokenA.symbol} twice`);
+    }
+
+    const address = await lookupPool(tokenA.address, tokenB.address, fee);
+    if (address === ethers.ZeroAddress) {
+      throw new NoPoolError(`No ${tokenA.symbol}/${tokenB.symbol} pool exists for the ${fee} fee tier`);
+    }
+
+    const poolContract = new ethers.Contract(address, POOL_ABI, provider);
+    const [slot0, tickSpacing] = await Promise.all([poolContract.slot0(), poolContract.tickSpacing()]);
+    if (slot0.sqrtPriceX96 === BigInt(0)) {
+      throw new NoPoolError(`The ${tokenA.symbol}/${tokenB.symbol} pool ${address} has no price yet`);
+    }
+
+    const aIsToken0 = tokenA.address.toLowerCase() < tokenB.address.toLowerCase();
+    return {
+      address,
+      fee,
+      aIsToken0,
+      token0: aIsToken0 ? tokenA : tokenB,
+      token1: aIsToken0 ? tokenB : tokenA,
+      sqrtPriceX96: slot0.sqrtPriceX96,
+      tick: Number(slot0.tick),
+      tickSpacing: Number(tickSpacing)
+    };
+  }
+
+  // Prices of tokenB per tokenA at a tick range's bounds, lowest first
+  function rangePrices(pool, tokenA, tokenB, tickLower, tickUpper) {
+    const prices = [tickLower, tickUpper].map((tick) => tickToPrice(tick, tokenA.decimals, tokenB.decimals, pool.aIsToken0));
+    // A token1 base inverts the price, so the lower tick is the upper price
+    return pool.aIsToken0 ? prices : prices.reverse();
+  }
+
+  // Token amounts to deposit for the most liquidity the caps allow. A null cap is unlimited.
+  function positionAmounts(pool, tickLower, tickUpper, amount0Max, amount1Max) {
+    const liquidity = liquidityForAmounts(pool.sqrtPriceX96, tickLower, tickUpper, amount0Max, amount1Max);
+    if (liquidity === null) {
+      const needed = pool.tick < tickLower ? pool.token0 : pool.token1;
+      throw new UsageError(`At the current price the range holds only ${needed.symbol}, give an amount of it`);
+    }
+    if (liquidity === BigInt(0)) {
+      throw new UsageError('The amounts are too small to add any liquidity to the range');
+    }
+
+    // The pool rounds what it takes up; never ask for more than the caps
+    const desired = amountsForLiquidity(pool.sqrtPriceX96, tickLower, tickUpper, liquidity, true);
+    const cap = (amount, max) => max !== null && amount > max ? max : amount;
+    return { liquidity, amount0: cap(desired.amount0, amount0Max), amount1: cap(desired.amount1, amount1Max) };
+  }
+
+  // Check both balances before approving either token for the position manager, so a short
+  // second token costs no approval transaction
+  async function approvePositionDeposits(wallet, deposits) {
+    for (const { token, amount } of deposits) {
+      if (amount === BigInt(0)) continue;
+      const balance = await checkBalance(token, wallet);
+      if (balance < amount) {
+        throw insufficientBalance(token, balance, amount);
+      }
+    }
+    for (const { token, amount } of deposits) {
+      if (amount > BigInt(0)) {
+        await approveToken(token, amount, wallet, { spender: network.contracts.positionManager });
+      }
+    }
+  }
+
+  // A position NFT with its tokens and the current state of its pool
+  async function loadPosition(tokenId) {
+    let position;
+    try {
+      position = await positionManagerContract.positions(tokenId);
+    } catch (error) {
+      throw classifyError(error, (cause) => new UsageError(`No position ${tokenId} exists on ${network.name}`, { cause }));
+    }
+
+    const [token0, token1] = await Promise.all([fetchTokenInfo(position.token0), fetchTokenInfo(position.token1)]);
+    const pool = await loadPositionPool(token0, token1, Number(position.fee));
+    return {
+      tokenId: BigInt(tokenId),
+      token0,
+      token1,
+      pool,
+      tickLower: Number(position.tickLower),
+      tickUpper: Number(position.tickUpper),
+      liquidity: position.liquidity,
+      tokensOwed0: position.tokensOwed0,
+      tokensOwed1: position.tokensOwed1
+    };
+  }
+
+  // Only the owner or an approved operator may add or remove liquidity, collect or burn, so a mistyped
+  // token id is refused before anything is approved or sent. Returns the owner.
+  async function requirePositionOwner(position, wallet) {
+    const owner = await positionManagerContract.ownerOf(position.tokenId);
+    if (owner.toLowerCase() === wallet.address.toLowerCase()) return owner;
+
+    const [approved, operator] = await Promise.all([
+      positionManagerContract.getApproved(position.tokenId),
+      positionManagerContract.isApprovedForAll(owner, wallet.address)
+    ]);
+    if (approved.toLowerCase() !== wallet.address.toLowerCase() && !operator) {
+      throw new UsageError(`Position ${position.tokenId} belongs to ${owner}, not ${wallet.address}`);
+    }
+    return owner;
+  }
+
+  // What collect would pay out now, simulated from the owner: fees earned, including those the
+  // pool has not credited to the position yet, plus liquidity removed but not collected
+  async function uncollectedAmounts(position, owner) {
+    const { amount0, amount1 } = await positionManagerContract.collect.staticCall(
+      { tokenId: position.tokenId, recipient: owner, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128 },
+      { from: owner }
+    );
+    return { amount0, amount1 };
+  }
+
+  // The position manager's event for a mined position transaction
+  function requirePositionEvent(receipt, name) {
+    const event = findPositionEvent(receipt, positionManagerContract, name);
+    if (!event) {
+      throw new TransactionError(`Transaction ${receipt.hash} emitted no ${name} event`, { transactionHash: receipt.hash });
+    }
+    return event;
+  }
+
+  // Report of a position, prices in token1 per token0 as the pool quotes them
+  function describePosition(position, owner, uncollected) {
+    const { pool, token0, token1, tickLower, tickUpper, liquidity } = position;
+    const amounts = amountsForLiquidity(pool.sqrtPriceX96, tickLower, tickUpper, liquidity, false);
+    const [priceLower, priceUpper] = rangePrices(pool, token0, token1, tickLower, tickUpper);
+
+    return {
+      tokenId: position.tokenId.toString(),
+      owner,
+      pool: pool.address,
+      pair: `${token0.symbol}/${token1.symbol}`,
+      token0: token0.address,
+      token1: token1.address,
+      fee: pool.fee,
+      tickLower,
+      tickUpper,
+      priceLower,
+      priceUpper,
+      currentPrice: sqrtPriceX96ToPrice(pool.sqrtPriceX96, token0.decimals, token1.decimals, true),
+      priceUnit: `${token1.symbol}/${token0.symbol}`,
+      // The pool's active tick counts as in range at the lower bound but not at the upper one
+      inRange: liquidity > BigInt(0) && pool.tick >= tickLower && pool.tick < tickUpper,
+      liquidity: liquidity.toString(),
+      amount0: formatBigInt(amounts.amount0, token0.decimals),
+      amount1: formatBigInt(amounts.amount1, token1.decimals),
+      uncollected0: formatBigInt(uncollected.amount0, token0.decimals),
+      uncollected1: formatBigInt(uncollected.amount1, token1.decimals)
+    };
+  }
+
+  // lp add: mint a position over a price range with the most liquidity amountA and amountB allow
+  async function addLiquidity(options) {
+    const signer = requireSigner();
+    if (!options.amountA && !options.amountB) {
+      throw new UsageError('Adding liquidity needs amountA, amountB or both');
+    }
+    const tokenA = await fetchPositionToken(options.tokenA);
+    const tokenB = await fetchPositionToken(options.tokenB);
+    const pool = await loadPositionPool(tokenA, tokenB, options.fee);
+
+    const { tickLower, tickUpper } = priceRangeToTicks(
+      options.priceLower, options.priceUpper, tokenA.decimals, tokenB.decimals, pool.aIsToken0, pool.tickSpacing
+    );
+    if (tickLower === tickUpper) {
+      throw new UsageError(`The price range is narrower than the pool's tick spacing of ${pool.tickSpacing}`);
+    }
+
+    const amountA = options.amountA ? ethers.parseUnits(options.amountA, tokenA.decimals) : null;
+    const amountB = options.amountB ? ethers.parseUnits(options.amountB, tokenB.decimals) : null;
+    const { liquidity, amount0, amount1 } = pool.aIsToken0 ?
+      positionAmounts(pool, tickLower, tickUpper, amountA, amountB) :
+      positionAmounts(pool, tickLower, tickUpper, amountB, amountA);
+
+    const [priceLower, priceUpper] = rangePrices(pool, tokenA, tokenB, tickLower, tickUpper);
+    const currentPrice = sqrtPriceX96ToPrice(pool.sqrtPriceX96, tokenA.decimals, tokenB.decimals, pool.aIsToken0);
+    log(`Adding ${tokenA.symbol}/${tokenB.symbol} liquidity between ${priceLower} and ${priceUpper} ${tokenB.symbol}/${tokenA.symbol}`, {
+      pool: pool.address,
+      currentPrice,
+      ticks: `${tickLower} to ${tickUpper}`,
+      liquidity: liquidity.toString(),
+      [pool.token0.symbol]: formatBigInt(amount0, pool.token0.decimals),
+      [pool.token1.symbol]: formatBigInt(amount1, pool.token1.decimals)
+    });
+
+    await approvePositionDeposits(signer, [{ token: pool.token0, amount: amount0 }, { token: pool.token1, amount: amount1 }]);
+
+    // The pool price may move before the mint; the minimums bound how far the deposit ratio can shift
+    const transaction = await positionManagerContract.mint.populateTransaction({
+      token0: pool.token0.address,
+      token1: pool.token1.address,
+      fee: pool.fee,
+      tickLower,
+      tickUpper,
+      amount0Desired: amount0,
+      amount1Desired: amount1,
+      amount0Min: minimumAmountOut(amount0, options.slippageBps),
+      amount1Min: minimumAmountOut(amount1, options.slippageBps),
+      recipient: options.recipient || signer.address,
+      deadline: Math.floor(Date.now() / 1000 + 60 * options.deadlineMinutes)
+    });
+    const receipt = await sendTransaction(transaction, 'Mint Position');
+
+    const minted = requirePositionEvent(receipt, 'IncreaseLiquidity');
+    const deposited = [minted.args.amount0, minted.args.amount1];
+    const [depositedA, depositedB] = pool.aIsToken0 ? deposited : deposited.reverse();
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      tokenId: minted.args.tokenId.toString(),
+      liquidity: minted.args.liquidity.toString(),
+      pool: pool.address,
+      tokenA: tokenA.address,
+      tokenB: tokenB.address,
+      fee: pool.fee,
+      tickLower,
+      tickUpper,
+      priceLower,
+      priceUpper,
+      currentPrice,
+      amountA: formatBigInt(depositedA, tokenA.decimals),
+      amountB: formatBigInt(depositedB, tokenB.decimals),
+      recipient: options.recipient || signer.address,
+      gasUsed: receipt.gasUsed.toString(),
+      feeEth: formatBigInt(receipt.gasUsed * receipt.gasPrice, 18)
+    };
+  }
+
+  // lp list: the position NFTs a wallet holds, with range, liquidity, uncollected fees and in-range status
+  async function listPositions(options) {
+    const owner = options.address || requireSigner().address;
+    const count = await positionManagerContract.balanceOf(owner);
+
+    const positions = [];
+    for (let index = BigInt(0); index < count; index++) {
+      const position = await loadPosition(await positionManagerContract.tokenOfOwnerByIndex(owner, index));
+      positions.push(describePosition(position, owner, await uncollectedAmounts(position, owner)));
+    }
+
+    return { owner, positions };
+  }
+
+  // lp increase: add to a position at its range's current ratio, with the most liquidity amount0 and amount1 allow
+  async function increaseLiquidity(options) {
+    const signer = requireSigner();
+    if (!options.amount0 && !options.amount1) {
+      throw new UsageError('Increasing liquidity needs amount0, amount1 or both');
+    }
+    const position = await loadPosition(options.tokenId);
+    await requirePositionOwner(position, signer);
+    const { pool, token0, token1, tickLower, tickUpper } = position;
+
+    const { liquidity, amount0, amount1 } = positionAmounts(
+      pool, tickLower, tickUpper,
+      options.amount0 ? ethers.parseUnits(options.amount0, token0.decimals) : null,
+      options.amount1 ? ethers.parseUnits(options.amount1, token1.decimals) : null
+    );
+    log(`Adding ${liquidity} liquidity to position ${position.tokenId}`, {
+      [token0.symbol]: formatBigInt(amount0, token0.decimals),
+      [token1.symbol]: formatBigInt(amount1, token1.decimals)
+    });
+
+    await approvePositionDeposits(signer, [{ token: token0, amount: amount0 }, { token: token1, amount: amount1 }]);
+
+    const transaction = await positionManagerContract.increaseLiquidity.populateTransaction({
+      tokenId: position.tokenId,
+      amount0Desired: amount0,
+      amount1Desired: amount1,
+      amount0Min: minimumAmountOut(amount0, options.slippageBps),
+      amount1Min: minimumAmountOut(amount1, options.slippageBps),
+      deadline: Math.floor(Date.now() / 1000 + 60 * options.deadlineMinutes)
+    });
+    const receipt = await sendTransaction(transaction, 'Increase Liquidity');
+    const increased = requirePositionEvent(receipt, 'IncreaseLiquidity');
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      tokenId: position.tokenId.toString(),
+      liquidityAdded: increased.args.liquidity.toString(),
+      liquidity: (position.liquidity + increased.args.liquidity).toString(),
+      amount0: formatBigInt(increased.args.amount0, token0.decimals),
+      amount1: formatBigInt(increased.args.amount1, token1.decimals),
+      gasUsed: receipt.gasUsed.toString(),
+      feeEth: formatBigInt(receipt.gasUsed * receipt.gasPrice, 18)
+    };
+  }
+
+  // lp decrease: remove a percentage of a position's liquidity. The tokens stay owed to the
+  // position until lp collect withdraws them.
+  async function decreaseLiquidity(options) {
+    const signer = requireSigner();
+    const position = await loadPosition(options.tokenId);
+    await requirePositionOwner(position, signer);
+    const { pool, token0, token1, tickLower, tickUpper } = position;
+
+    const liquidity = (position.liquidity * BigInt(options.percent)) / BigInt(100);
+    if (liquidity === BigInt(0)) {
+      throw new UsageError(`Position ${position.tokenId} has no liquidity to remove`);
+    }
+
+    // Removing liquidity pays out whatever mix the range holds at the mined price; the minimums
+    // bound how far that can move from the current one
+    const expected = amountsForLiquidity(pool.sqrtPriceX96, tickLower, tickUpper, liquidity, false);
+    log(`Removing ${options.percent}% (${liquidity}) of the liquidity of position ${position.tokenId}`, {
+      [token0.symbol]: formatBigInt(expected.amount0, token0.decimals),
+      [token1.symbol]: formatBigInt(expected.amount1, token1.decimals)
+    });
+
+    const transaction = await positionManagerContract.decreaseLiquidity.populateTransaction({
+      tokenId: position.tokenId,
+      liquidity,
+      amount0Min: minimumAmountOut(expected.amount0, options.slippageBps),
+      amount1Min: minimumAmountOut(expected.amount1, options.slippageBps),
+      deadline: Math.floor(Date.now() / 1000 + 60 * options.deadlineMinutes)
+    });
+    const receipt = await sendTransaction(transaction, 'Decrease Liquidity');
+    const decreased = requirePositionEvent(receipt, 'DecreaseLiquidity');
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      tokenId: position.tokenId.toString(),
+      liquidityRemoved: decreased.args.liquidity.toString(),
+      liquidity: (position.liquidity - decreased.args.liquidity).toString(),
+      amount0: formatBigInt(decreased.args.amount0, token0.decimals),
+      amount1: formatBigInt(decreased.args.amount1, token1.decimals),
+      gasUsed: receipt.gasUsed.toString(),
+      feeEth: formatBigInt(receipt.gasUsed * receipt.gasPrice, 18)
+    };
+  }
+
+  // lp collect: withdraw a position's fees and the liquidity removed from it to the recipient
+  async function collect(options) {
+    const signer = requireSigner();
+    const position = await loadPosition(options.tokenId);
+    const owner = await requirePositionOwner(position, signer);
+    const { token0, token1 } = position;
+    const recipient = options.recipient || signer.address;
+
+    const owed = await uncollectedAmounts(position, owner);
+    if (owed.amount0 === BigInt(0) && owed.amount1 === BigInt(0)) {
+      log(`Position ${position.tokenId} has nothing to collect`);
+      return {
+        success: true,
+        txHash: null,
+        tokenId: position.tokenId.toString(),
+        recipient,
+        amount0: formatBigInt(owed.amount0, token0.decimals),
+        amount1: formatBigInt(owed.amount1, token1.decimals)
+      };
+    }
+    log(`Collecting from position ${position.tokenId}`, {
+      [token0.symbol]: formatBigInt(owed.amount0, token0.decimals),
+      [token1.symbol]: formatBigInt(owed.amount1, token1.decimals)
+    });
+
+    const transaction = await positionManagerContract.collect.populateTransaction({
+      tokenId: position.tokenId, recipient, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128
+    });
+    const receipt = await sendTransaction(transaction, 'Collect');
+    const collected = requirePositionEvent(receipt, 'Collect');
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      tokenId: position.tokenId.toString(),
+      recipient,
+      amount0: formatBigInt(collected.args.amount0, token0.decimals),
+      amount1: formatBigInt(collected.args.amount1, token1.decimals),
+      gasUsed: receipt.gasUsed.toString(),
+      feeEth: formatBigInt(receipt.gasUsed * receipt.gasPrice, 18)
+    };
+  }
+
+  // lp burn: destroy a position NFT with no liquidity and nothing left to collect
+  async function burnPosition(options) {
+    const signer = requireSigner();
+    const position = await loadPosition(options.tokenId);
+    await requirePositionOwner(position, signer);
+
+    if (position.liquidity > BigInt(0)) {
+      throw new UsageError(`Position ${position.tokenId} still holds liquidity, remove it with lp decrease --percent 100 first`);
+    }
+    if (position.tokensOwed0 > BigInt(0) || position.tokensOwed1 > BigInt(0)) {
+      throw new UsageError(`Position ${position.tokenId} still has tokens to collect, run lp collect first`);
+    }
+
+    const transaction = await positionManagerContract.burn.populateTransaction(position.tokenId);
+    const receipt = await sendTransaction(transaction, 'Burn Position');
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      tokenId: position.tokenId.toString(),
+      gasUsed: receipt.gasUsed.toString(),
+      feeEth: formatBigInt(receipt.gasUsed * receipt.gasPrice, 18)
+    };
+  }
+
+  // pool create: create and initialize the pool of a pair and fee tier at initialPrice tokenB per
+  // tokenA, then seed a first position when amountA or amountB is given
+  async function createPool(options) {
+    requireSigner();
+    const seed = Boolean(options.amountA || options.amountB);
+    if (seed && (!options.priceLower || !options.priceUpper)) {
+      throw new UsageError('Seeding a position needs priceLower and priceUpper');
+    }
+
+    const tokenA = await fetchPositionToken(options.tokenA);
+    const tokenB = await fetchPositionToken(options.tokenB);
+    if (tokenA.address.toLowerCase() === tokenB.address.toLowerCase()) {
+      throw new UsageError(`A pool needs two different tokens, got ${tokenA.symbol} twice`);
+    }
+    if (!(await discoverFeeTiers()).includes(options.fee)) {
+      throw new UsageError(`The ${options.fee} fee tier is not enabled on ${network.name}`);
+    }
+
+    const aIsToken0 = tokenA.address.toLowerCase() < tokenB.address.toLowerCase();
+    const [token0, token1] = aIsToken0 ? [tokenA, tokenB] : [tokenB, tokenA];
+    const sqrtPriceX96 = priceToSqrtPriceX96(options.initialPrice, tokenA.decimals, tokenB.decimals, aIsToken0);
+    // priceToSqrtPriceX96 clamps to the supported range, which would silently change the price
+    if (sqrtPriceX96 === MIN_SQRT_RATIO || sqrtPriceX96 === MAX_SQRT_RATIO - BigInt(1)) {
+      throw new UsageError(`${options.initialPrice} ${tokenB.symbol}/${tokenA.symbol} is outside the prices a pool supports`);
+    }
+
+    let address = await lookupPool(token0.address, token1.address, options.fee);
+    const existing = address === ethers.ZeroAddress ? null : await new ethers.Contract(address, POOL_ABI, provider).slot0();
+    let receipt = null;
+    let priceDeviationBps = null;
+
+    if (existing && existing.sqrtPriceX96 !== BigInt(0)) {
+      // The pool keeps its own price, which a seed position is minted at. The deviation is relative
+      // to the initial price in tokenB per tokenA, the inverse of slot0's price when tokenB is token0.
+      const givenX192 = sqrtPriceX96 * sqrtPriceX96;
+      const poolX192 = existing.sqrtPriceX96 * existing.sqrtPriceX96;
+      const difference = poolX192 > givenX192 ? poolX192 - givenX192 : givenX192 - poolX192;
+      priceDeviationBps = Number((difference * BigInt(10000)) / (aIsToken0 ? givenX192 : poolX192));
+
+      const poolPrice = sqrtPriceX96ToPrice(existing.sqrtPriceX96, tokenA.decimals, tokenB.decimals, aIsToken0);
+      log(`The ${tokenA.symbol}/${tokenB.symbol} pool ${address} already exists at ${poolPrice} ${tokenB.symbol}/${tokenA.symbol}, leaving it as it is`);
+      if (priceDeviationBps > options.slippageBps) {
+        const away = `${poolPrice} ${tokenB.symbol}/${tokenA.symbol} is ${priceDeviationBps / 100}% away from the initial price of ${options.initialPrice}`;
+        if (seed) {
+          throw new UsageError(`Refusing to seed a position: the existing pool's price of ${away}, check the price or use lp add`);
+        }
+        log(`Warning: the existing pool's price of ${away}`);
+      }
+    } else {
+      log(`${existing ? 'Initializing' : 'Creating'} the ${tokenA.symbol}/${tokenB.symbol} ${options.fee} pool at ${options.initialPrice} ${tokenB.symbol}/${tokenA.symbol}`, {
+        token0: token0.address,
+        token1: token1.address,
+        sqrtPriceX96: sqrtPriceX96.toString()
+      });
+      const transaction = await positionManagerContract.createAndInitializePoolIfNecessary.populateTransaction(
+        token0.address, token1.address, options.fee, sqrtPriceX96
+      );
+      receipt = await sendTransaction(transaction, 'Create Pool');
+
+      // The cached lookup remembers the pair as poolless
+      forgetPools();
+      address = await lookupPool(token0.address, token1.address, options.fee);
+    }
+
+    const pool = await loadPositionPool(tokenA, tokenB, options.fee);
+    const position = seed ? await addLiquidity(options) : null;
+
+    return {
+      success: true,
+      txHash: receipt ? receipt.hash : null,
+      created: !existing,
+      initialized: receipt !== null,
+      pool: address,
+      token0: token0.address,
+      token1: token1.address,
+      fee: options.fee,
+      tickSpacing: pool.tickSpacing,
+      sqrtPriceX96: pool.sqrtPriceX96.toString(),
+      tick: pool.tick,
+      price: sqrtPriceX96ToPrice(pool.sqrtPriceX96, tokenA.decimals, tokenB.decimals, aIsToken0),
+      priceDeviationBps,
+      position,
+      gasUsed: receipt ? receipt.gasUsed.toString() : null,
+      feeEth: receipt ? formatBigInt(receipt.gasUsed * receipt.gasPrice, 18) : null
+    };
+  }
+
+  return { addLiquidity, listPositions, increaseLiquidity, decreaseLiquidity, collect, burnPosition, createPool };
+}
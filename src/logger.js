@@ -0,0 +1,39 @@
+// ========================
+// LOGGERS
+// ========================
+// A logger has log(message, data) for progress and error(message, error) for failures.
+
+// Default for library use: say nothing
+export const silentLogger = Object.freeze({
+  log() {},
+  error() {},
+});
+
+// Timestamped logs on the console. With json set, logs go to stderr so stdout stays parseable.
+export function createConsoleLogger({ json = false } = {}) {
+  const write = json ? console.error : console.log;
+
+  return {
+    log(message, data = null) {
+      const timestamp = new Date().toISOString();
+      write(`[${timestamp}] ${message}`);
+      if (data !== null) {
+        write(JSON.stringify(data, (key, value) => 
+          typeof value === 'bigint' ? value.toString() : value, 2));
+      }
+      write('-------------------------------');
+    },
+
+    error(message, error) {
+      console.error(`-------------------------------`);
+      console.error(`ERROR: ${message}`);
+      if (error) {
+        console.error(`Message: ${error.message || 'Unknown error'}`);
+        if (error.code) console.error(`Code: ${error.code}`);
+        if (error.data) console.error(`Data: ${JSON.stringify(error.data)}`);
+        if (error.stack) console.error(`Stack: ${error.stack}`);
+      }
+      console.error(`-------------------------------`);
+    },
+  };
+}
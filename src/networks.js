@@ -0,0 +1,212 @@
+import { ethers } from 'ethers';
+import { RpcError } from './errors.js';
+
+// ========================
+// NETWORK PROFILES
+// ========================
+// Each profile holds the RPC endpoint, chain id, block explorer and the Uniswap V3
+// deployment used on that chain. `tokens` maps symbols to addresses so they can be
+// passed on the command line instead of raw addresses. `baseTokens` are the registry
+// symbols multi-hop routes may pass through.
+
+const MAINNET_TOKENS = {
+  WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+  USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+  DAI: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+  WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+};
+
+const SEPOLIA_CONTRACTS = {
+  factory: '0x0227628f3F023bb0B980b67D528571c95c6DaC1c',
+  quoter: '0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3',
+  swapRouter: '0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E',
+  positionManager: '0x1238536071E1c677A632429e3655c799b22cDA52',
+};
+
+const SEPOLIA_TOKENS = {
+  WETH: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+  USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+};
+
+export const NETWORKS = {
+  mainnet: {
+    chainId: 1,
+    rpcUrl: 'https://cloudflare-eth.com',
+    explorerUrl: 'https://etherscan.io',
+    contracts: {
+      factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      swapRouter: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+      positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+    },
+    tokens: MAINNET_TOKENS,
+    baseTokens: ['WETH', 'USDC', 'USDT', 'DAI', 'WBTC'],
+  },
+  sepolia: {
+    chainId: 11155111,
+    rpcUrl: 'https://rpc.sepolia.org',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    contracts: SEPOLIA_CONTRACTS,
+    tokens: SEPOLIA_TOKENS,
+    baseTokens: ['WETH', 'USDC'],
+  },
+  arbitrum: {
+    chainId: 42161,
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    explorerUrl: 'https://arbiscan.io',
+    contracts: {
+      factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      swapRouter: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+      positionManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+    },
+    tokens: {
+      WETH: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+      USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+      USDT: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9',
+      DAI: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
+      WBTC: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
+    },
+    baseTokens: ['WETH', 'USDC', 'USDT', 'DAI'],
+  },
+  base: {
+    chainId: 8453,
+    rpcUrl: 'https://mainnet.base.org',
+    explorerUrl: 'https://basescan.org',
+    contracts: {
+      factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+      quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+      swapRouter: '0x2626664c2603336E57B271c5C0b26F421741e481',
+      positionManager: '0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1',
+    },
+    tokens: {
+      WETH: '0x4200000000000000000000000000000000000006',
+      USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      DAI: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
+    },
+    baseTokens: ['WETH', 'USDC', 'DAI'],
+  },
+  // Hardhat/anvil node forked from Sepolia. Set CHAIN_ID if the node keeps the forked chain id.
+  local: {
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    contracts: SEPOLIA_CONTRACTS,
+    tokens: SEPOLIA_TOKENS,
+    baseTokens: ['WETH', 'USDC'],
+  },
+  // Everything comes from the environment, see CONTRACT_ENV_OVERRIDES
+  custom: {
+    chainId: null,
+    rpcUrl: null,
+    explorerUrl: null,
+    contracts: {},
+    tokens: {},
+    baseTokens: [],
+  },
+};
+
+export const DEFAULT_NETWORK = 'sepolia';
+
+// RPC_URL, CHAIN_ID and EXPLORER_URL override the profile's endpoint settings,
+// these override its contract addresses
+const CONTRACT_ENV_OVERRIDES = {
+  factory: 'FACTORY_ADDRESS',
+  quoter: 'QUOTER_ADDRESS',
+  swapRouter: 'SWAP_ROUTER_ADDRESS',
+  positionManager: 'POSITION_MANAGER_ADDRESS',
+};
+
+// Extra token symbols, e.g. TOKEN_ADDRESSES="FOO=0x...,BAR=0x..."
+// BASE_TOKENS="WETH,FOO" replaces the profile's base tokens
+function parseTokenList(value) {
+  const tokens = {};
+  for (const entry of value.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const [symbol, address] = entry.split('=').map((item) => item.trim());
+    if (!symbol || !ethers.isAddress(address)) {
+      throw new Error(`Invalid TOKEN_ADDRESSES entry "${entry}", expected SYMBOL=0x...`);
+    }
+    tokens[symbol.toUpperCase()] = address;
+  }
+  return tokens;
+}
+
+const REQUIRED_CONTRACTS = ['factory', 'quoter', 'swapRouter'];
+
+// Build the active network config from a profile name, environment overrides and an optional RPC URL
+export function loadNetwork(name, env = process.env, rpcUrl = undefined) {
+  const profile = NETWORKS[name];
+  if (!profile) {
+    throw new Error(`Unknown network "${name}". Available networks: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const contracts = { ...profile.contracts };
+  for (const [key, variable] of Object.entries(CONTRACT_ENV_OVERRIDES)) {
+    if (env[variable]) contracts[key] = env[variable];
+  }
+
+  const network = {
+    name,
+    chainId: env.CHAIN_ID ? Number(env.CHAIN_ID) : profile.chainId,
+    rpcUrl: rpcUrl || env.RPC_URL || profile.rpcUrl,
+    explorerUrl: env.EXPLORER_URL || profile.explorerUrl,
+    contracts,
+    tokens: { ...profile.tokens, ...(env.TOKEN_ADDRESSES ? parseTokenList(env.TOKEN_ADDRESSES) : {}) },
+  };
+
+  const baseTokens = env.BASE_TOKENS ? env.BASE_TOKENS.split(',').map((item) => item.trim()).filter(Boolean) : profile.baseTokens;
+  network.baseTokens = baseTokens.map((token) => {
+    const address = resolveTokenAddress(network, token);
+    if (!address) {
+      throw new Error(`Unknown base token "${token}" for network "${name}"`);
+    }
+    return address;
+  });
+
+  if (!network.rpcUrl) {
+    throw new Error(`Network "${name}" has no RPC URL, set RPC_URL or pass --rpc-url`);
+  }
+  if (!Number.isInteger(network.chainId) || network.chainId <= 0) {
+    throw new Error(`Network "${name}" needs a valid chain id, set CHAIN_ID`);
+  }
+  for (const key of REQUIRED_CONTRACTS) {
+    if (!contracts[key]) {
+      throw new Error(`Network "${name}" has no ${key} address, set ${CONTRACT_ENV_OVERRIDES[key]}`);
+    }
+  }
+  for (const [key, address] of Object.entries(contracts)) {
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid ${key} address for network "${name}": ${address}`);
+    }
+    contracts[key] = ethers.getAddress(address);
+  }
+
+  return network;
+}
+
+// Accept either an address or a symbol from the network's token registry
+export function resolveTokenAddress(network, value) {
+  const symbol = value.toUpperCase();
+  if (network.tokens[symbol]) {
+    return ethers.getAddress(network.tokens[symbol]);
+  }
+  if (ethers.isAddress(value)) {
+    return ethers.getAddress(value);
+  }
+  return null;
+}
+
+// Fail early when the RPC endpoint serves a different chain than the profile expects
+export async function verifyChainId(provider, network) {
+  const chainId = Number(await provider.send('eth_chainId', []));
+  if (chainId !== network.chainId) {
+    throw new RpcError(`RPC at ${network.rpcUrl} is on chain ${chainId}, but network "${network.name}" expects chain ${network.chainId}`);
+  }
+  return chainId;
+}
+
+// Link to a transaction on the network's explorer, or the bare hash when it has none
+export function explorerTxUrl(network, hash) {
+  return network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : hash;
+}
@@ -0,0 +1,67 @@
+import { getSqrtRatioAtTick, MIN_TICK, MAX_TICK } from './simulator.js';
+import { SwapError } from './errors.js';
+
+// ========================
+// TWAP ORACLE HELPERS
+// ========================
+// Prices are compared as ticks (1 tick = 0.01%). A route's synthetic tick is the sum of its
+// pools' ticks, oriented so that it represents tokenOut per tokenIn: lower ticks are worse,
+// the same convention the router's checkOracleSlippage uses.
+
+const ONE_TICK = 1.0001;
+
+// Arithmetic mean tick between two observe() cumulatives, rounded towards negative infinity
+// like OracleLibrary.consult
+export function meanTick(tickCumulativeStart, tickCumulativeEnd, seconds) {
+  const delta = BigInt(tickCumulativeEnd) - BigInt(tickCumulativeStart);
+  const period = BigInt(seconds);
+  let tick = delta / period;
+  if (delta < BigInt(0) && delta % period !== BigInt(0)) tick--;
+  return Number(tick);
+}
+
+// Current and time-weighted average tick of a pool (abis/pool.json) over the last `seconds`
+export async function readPoolTicks(poolContract, seconds) {
+  const [slot0, observed] = await Promise.all([
+    poolContract.slot0(),
+    poolContract.observe([seconds, 0]).catch((error) => error),
+  ]);
+
+  if (observed instanceof Error) {
+    const address = await poolContract.getAddress();
+    throw new SwapError(
+      `Pool ${address} has no ${seconds}s price history (observation cardinality ${slot0.observationCardinality}), ` +
+      `grow it with the grow-oracle command or shorten the TWAP window: ${observed.reason || observed.shortMessage || observed.message}`,
+      { code: 'ORACLE_UNAVAILABLE', cause: observed, pool: address }
+    );
+  }
+
+  const [tickCumulatives] = observed;
+  return {
+    spotTick: Number(slot0.tick),
+    twapTick: meanTick(tickCumulatives[0], tickCumulatives[1], seconds),
+    observationCardinality: Number(slot0.observationCardinality),
+    observationCardinalityNext: Number(slot0.observationCardinalityNext),
+  };
+}
+
+// Route tick from per-pool ticks: a pool's tick prices token1 in token0, so hops selling
+// token1 count negatively
+export function syntheticTick(tokens, poolTicks) {
+  return poolTicks.reduce((sum, tick, index) => {
+    const zeroForOne = tokens[index].toLowerCase() < tokens[index + 1].toLowerCase();
+    return zeroForOne ? sum + tick : sum - tick;
+  }, 0);
+}
+
+// Largest whole number of ticks within a deviation given in basis points
+export function bpsToTicks(bps) {
+  return Math.floor(Math.log(1 + bps / 10000) / Math.log(ONE_TICK));
+}
+
+// amount * 1.0001^ticks, exact to TickMath's precision
+export function scaleByTicks(amount, ticks) {
+  const clamped = Math.min(Math.max(ticks, MIN_TICK), MAX_TICK);
+  const sqrtRatio = getSqrtRatioAtTick(clamped);
+  return (amount * sqrtRatio * sqrtRatio) >> BigInt(192);
+}
@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+
+// ========================
+// STATE OVERRIDES
+// ========================
+// A dry run calls the swap with eth_call, overriding the token's storage so the wallet appears
+// to hold and have approved the input even before it does. Balance and allowance mappings sit
+// at a slot that differs per token, so the slot is found by probing: a candidate is written with
+// a sentinel value through an override, and the one that balanceOf / allowance read back wins.
+// Solidity hashes the key before the slot, Vyper the slot before the key; both are tried.
+
+const PROBE_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+];
+
+const probeInterface = new ethers.Interface(PROBE_ABI);
+
+// Slots 0 to 19 cover OpenZeppelin, Solmate, WETH9 and proxied tokens such as USDC
+const MAX_PROBED_SLOT = 20;
+const SENTINEL = BigInt('0x5e5e5e5e5e5e5e5e5e5e5e5e5e5e5e5e');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function mappingSlot(key, slot, vyper) {
+  return ethers.keccak256(vyper ? coder.encode(['uint256', 'address'], [slot, key]) : coder.encode(['address', 'uint256'], [key, slot]));
+}
+
+function nestedMappingSlot(outerKey, innerKey, slot, vyper) {
+  const outer = mappingSlot(outerKey, slot, vyper);
+  return ethers.keccak256(vyper ? coder.encode(['bytes32', 'address'], [outer, innerKey]) : coder.encode(['address', 'bytes32'], [innerKey, outer]));
+}
+
+// eth_call with a state override, as the node's raw JSON-RPC method
+export async function callWithOverrides(provider, transaction, overrides) {
+  const request = {
+    from: transaction.from,
+    to: transaction.to,
+    data: transaction.data,
+    value: transaction.value !== undefined ? ethers.toQuantity(transaction.value) : undefined,
+  };
+  return provider.send('eth_call', [request, 'latest', overrides]);
+}
+
+async function probe(provider, token, data, storageSlot) {
+  try {
+    const result = await callWithOverrides(provider, { to: token, data }, {
+      [token]: { stateDiff: { [storageSlot]: ethers.toBeHex(SENTINEL, 32) } },
+    });
+    return BigInt(result) === SENTINEL;
+  } catch {
+    return false;
+  }
+}
+
+// First storage slot whose override the token's view function reads back, or null
+async function findSlot(provider, token, data, slotFor) {
+  for (let slot = 0; slot < MAX_PROBED_SLOT; slot++) {
+    const [solidity, vyper] = await Promise.all([
+      probe(provider, token, data, slotFor(slot, false)),
+      probe(provider, token, data, slotFor(slot, true)),
+    ]);
+    if (solidity) return slotFor(slot, false);
+    if (vyper) return slotFor(slot, true);
+  }
+  return null;
+}
+
+/**
+ * Storage overrides that give `owner` at least `amount` of a token and allow `spender` to move it.
+ * Parts whose slot could not be found are left out and listed in `missing`.
+ *
+ * @param {ethers.Provider} provider A provider whose node supports eth_call state overrides
+ * @param {string} token
+ * @param {string} owner
+ * @param {string} spender
+ * @param {bigint} amount
+ * @returns {Promise<{ stateDiff: object, missing: string[] }>}
+ */
+export async function tokenStateOverride(provider, token, owner, spender, amount) {
+  const stateDiff = {};
+  const missing = [];
+  const value = ethers.toBeHex(amount, 32);
+
+  const balanceSlot = await findSlot(provider, token, probeInterface.encodeFunctionData('balanceOf', [owner]),
+    (slot, vyper) => mappingSlot(owner, slot, vyper));
+  if (balanceSlot) {
+    stateDiff[balanceSlot] = value;
+  } else {
+    missing.push('balance');
+  }
+
+  const allowanceSlot = await findSlot(provider, token, probeInterface.encodeFunctionData('allowance', [owner, spender]),
+    (slot, vyper) => nestedMappingSlot(owner, spender, slot, vyper));
+  if (allowanceSlot) {
+    stateDiff[allowanceSlot] = value;
+  } else {
+    missing.push('allowance');
+  }
+
+  return { stateDiff, missing };
+}
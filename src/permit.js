@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+
+// ========================
+// PERMIT HELPERS
+// ========================
+// EIP-2612 tokens take permit(owner, spender, value, deadline, v, r, s). DAI-style tokens take
+// permit(holder, spender, nonce, expiry, allowed, v, r, s) and grant an unlimited allowance.
+// SwapRouter02 redeems either kind with selfPermitIfNecessary / selfPermitAllowedIfNecessary,
+// so the signature can travel in the same multicall as the swap.
+
+const PERMIT_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function PERMIT_TYPEHASH() view returns (bytes32)',
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function permit(address holder, address spender, uint256 nonce, uint256 expiry, bool allowed, uint8 v, bytes32 r, bytes32 s)',
+];
+
+const EIP2612_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const DAI_TYPES = {
+  Permit: [
+    { name: 'holder', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'allowed', type: 'bool' },
+  ],
+};
+
+const DAI_PERMIT_TYPEHASH = ethers.id('Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)');
+
+// Domain versions tried when the token does not report its own (USDC uses "2")
+const FALLBACK_VERSIONS = ['1', '2'];
+
+// View calls that tokens without permit support simply do not implement
+async function optionalCall(call) {
+  try {
+    return await call();
+  } catch {
+    return null;
+  }
+}
+
+// Work out whether a token accepts permits and which EIP-712 domain it signs with.
+// The domain is only trusted when it hashes to the token's own DOMAIN_SEPARATOR.
+// Returns { kind: 'eip2612' | 'dai', domain } or null.
+export async function detectPermit(runner, tokenAddress, chainId) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, runner);
+
+  const domainSeparator = await optionalCall(() => token.DOMAIN_SEPARATOR());
+  const nonce = await optionalCall(() => token.nonces(ethers.ZeroAddress));
+  if (domainSeparator === null || nonce === null) return null;
+
+  const candidates = [];
+  const reported = await optionalCall(() => token.eip712Domain());
+  if (reported) {
+    candidates.push({
+      name: reported.name,
+      version: reported.version,
+      chainId: reported.chainId,
+      verifyingContract: reported.verifyingContract,
+    });
+  }
+  const name = await optionalCall(() => token.name());
+  if (name !== null) {
+    const version = await optionalCall(() => token.version());
+    for (const candidate of version !== null ? [version] : FALLBACK_VERSIONS) {
+      candidates.push({ name, version: candidate, chainId, verifyingContract: tokenAddress });
+    }
+  }
+
+  const domain = candidates.find((candidate) => ethers.TypedDataEncoder.hashDomain(candidate) === domainSeparator);
+  if (!domain) return null;
+
+  const typehash = await optionalCall(() => token.PERMIT_TYPEHASH());
+  return { kind: typehash === DAI_PERMIT_TYPEHASH ? 'dai' : 'eip2612', domain };
+}
+
+// Sign a permit for `spender` and check it against the token with a static call.
+// Returns { kind, value, deadline, call } where call is the [functionName, args] router call
+// redeeming it, or null when the token rejects the signature.
+export async function signPermit(signer, tokenAddress, permit, spender, value, deadline) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer);
+  const owner = await signer.getAddress();
+  const nonce = await token.nonces(owner);
+
+  let signed;
+  if (permit.kind === 'dai') {
+    const message = { holder: owner, spender, nonce, expiry: deadline, allowed: true };
+    const { v, r, s } = ethers.Signature.from(await signer.signTypedData(permit.domain, DAI_TYPES, message));
+    signed = {
+      kind: 'dai',
+      value: ethers.MaxUint256,
+      deadline,
+      check: () => token['permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32)'].staticCall(owner, spender, nonce, deadline, true, v, r, s),
+      call: ['selfPermitAllowedIfNecessary', [tokenAddress, nonce, deadline, v, r, s]],
+    };
+  } else {
+    const message = { owner, spender, value, nonce, deadline };
+    const { v, r, s } = ethers.Signature.from(await signer.signTypedData(permit.domain, EIP2612_TYPES, message));
+    signed = {
+      kind: 'eip2612',
+      value,
+      deadline,
+      check: () => token['permit(address,address,uint256,uint256,uint8,bytes32,bytes32)'].staticCall(owner, spender, value, deadline, v, r, s),
+      call: ['selfPermitIfNecessary', [tokenAddress, value, deadline, v, r, s]],
+    };
+  }
+
+  if (await optionalCall(signed.check) === null) return null;
+  const { check, ...result } = signed;
+  return result;
+}
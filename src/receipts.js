@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+
+// ========================
+// SWAP RECEIPT DECODING
+// ========================
+// What a swap really did is read from its logs, not from balance differences that anything
+// else touching the wallet would distort. Pools emit Swap with their price after the trade;
+// the input is the tokenIn paid into those pools and the output is the tokenOut (or, for
+// native ETH, the WETH unwrapped by the router) paid to the recipient.
+
+const SWAP_LOG_ABI = [
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Withdrawal(address indexed src, uint256 wad)',
+];
+
+const swapLogInterface = new ethers.Interface(SWAP_LOG_ABI);
+
+// Digits after the decimal point in effective prices
+const PRICE_DECIMALS = 18;
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function parseLog(log) {
+  try {
+    return swapLogInterface.parseLog(log);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exact amounts and costs of a mined swap.
+ *
+ * @param {ethers.TransactionReceipt} receipt
+ * @param {object} swap
+ * @param {object} swap.tokenIn TokenInfo of the input, WETH9 address for native ETH
+ * @param {object} swap.tokenOut TokenInfo of the output
+ * @param {string} swap.payer Address the input was taken from
+ * @param {string} swap.recipient Address the output was paid to
+ * @param {string} swap.router Swap router, which pays native input and unwraps native output
+ * @returns {{ amountIn: bigint, amountOut: bigint, pools: object[], gasUsed: bigint, gasPrice: bigint, fee: bigint }}
+ */
+export function decodeSwapReceipt(receipt, { tokenIn, tokenOut, payer, recipient, router }) {
+  const parsed = receipt.logs.map((log) => ({ log, event: parseLog(log) })).filter(({ event }) => event !== null);
+
+  // Last Swap of each pool, in route order; a pool traded twice (split legs) reports its final price
+  const pools = new Map();
+  for (const { log, event } of parsed) {
+    if (event.name === 'Swap') {
+      pools.set(log.address.toLowerCase(), {
+        address: log.address,
+        sqrtPriceX96: event.args.sqrtPriceX96,
+        tick: Number(event.args.tick),
+        liquidity: event.args.liquidity,
+      });
+    }
+  }
+  if (pools.size === 0) {
+    throw new Error(`Transaction ${receipt.hash} contains no Swap event`);
+  }
+
+  const inputSource = tokenIn.isNative ? router : payer;
+  let amountIn = BigInt(0);
+  let amountOut = BigInt(0);
+
+  for (const { log, event } of parsed) {
+    if (event.name === 'Transfer' && sameAddress(log.address, tokenIn.address) &&
+        sameAddress(event.args.from, inputSource) && pools.has(event.args.to.toLowerCase())) {
+      amountIn += event.args.value;
+    }
+    if (tokenOut.isNative) {
+      if (event.name === 'Withdrawal' && sameAddress(log.address, tokenOut.address) && sameAddress(event.args.src, router)) {
+        amountOut += event.args.wad;
+      }
+    } else if (event.name === 'Transfer' && sameAddress(log.address, tokenOut.address) && sameAddress(event.args.to, recipient) &&
+        (pools.has(event.args.from.toLowerCase()) || sameAddress(event.args.from, router))) {
+      amountOut += event.args.value;
+    }
+  }
+
+  return {
+    amountIn,
+    amountOut,
+    pools: [...pools.values()],
+    gasUsed: receipt.gasUsed,
+    gasPrice: receipt.gasPrice,
+    fee: receipt.gasUsed * receipt.gasPrice,
+  };
+}
+
+// tokenOut per tokenIn in human units, as a decimal string
+export function effectivePrice(amountIn, decimalsIn, amountOut, decimalsOut) {
+  if (amountIn === BigInt(0)) return null;
+  const scaled = (amountOut * BigInt(10) ** BigInt(decimalsIn + PRICE_DECIMALS)) / (amountIn * BigInt(10) ** BigInt(decimalsOut));
+  return ethers.formatUnits(scaled, PRICE_DECIMALS);
+}
@@ -0,0 +1,281 @@
+import { ethers } from 'ethers';
+
+// ========================
+// REVERT DECODING
+// ========================
+// Router, pool and token reverts are mapped to a cause and a suggestion. The periphery and
+// core contracts revert with short strings (STF, SPL, LOK, ...), newer tokens with custom
+// errors. Revert data comes from the failed estimateGas or call, or, for a transaction that
+// was mined and reverted, from replaying it with eth_call at its block.
+
+// Error(string) reasons of SwapRouter02, the V3 pools and common tokens
+const KNOWN_REASONS = {
+  'Too little received': {
+    cause: 'The swap would return less than amountOutMinimum',
+    suggestion: 'The price moved since the quote, quote again or raise --slippage',
+  },
+  'Too much requested': {
+    cause: 'The exact-output swap would cost more than amountInMaximum',
+    suggestion: 'The price moved since the quote, quote again or raise --slippage',
+  },
+  'Transaction too old': {
+    cause: 'The swap deadline passed before the transaction was mined',
+    suggestion: 'Raise --deadline or pay higher fees with --fee-strategy fast',
+  },
+  STF: {
+    cause: 'The router could not transfer the input tokens from the wallet (safeTransferFrom failed)',
+    suggestion: 'Check the input token balance and that the router is approved for the amount, see the approve command',
+  },
+  ST: {
+    cause: 'A token transfer out of the router failed',
+    suggestion: 'The token may charge fees or block transfers, which the router does not support',
+  },
+  SA: {
+    cause: 'A token approval made by the router failed',
+    suggestion: 'The token rejects approve calls the router relies on',
+  },
+  SPL: {
+    cause: 'The swap hit the pool\'s price limit (sqrtPriceLimitX96) or the end of its price range',
+    suggestion: 'The pool has too little liquidity for this amount, try a smaller amount or another route',
+  },
+  LOK: {
+    cause: 'The pool is locked: it is not initialized or was re-entered',
+    suggestion: 'Use another fee tier or route, the pool cannot be traded right now',
+  },
+  AS: {
+    cause: 'The pool was asked to swap a zero amount',
+    suggestion: 'Raise --amount, it rounds to zero in the token\'s smallest unit',
+  },
+  IIA: {
+    cause: 'The pool did not receive the input tokens it expected',
+    suggestion: 'The input token may charge transfer fees, which V3 pools do not support',
+  },
+  TD: {
+    cause: 'The oracle check failed: the spot price moved further from the TWAP than --max-twap-deviation allows',
+    suggestion: 'Wait for the price to settle, or raise --max-twap-deviation if the move is expected',
+  },
+  OLD: {
+    cause: 'The pool has no price observation old enough for the TWAP window',
+    suggestion: 'Shorten --twap-minutes or grow the pool\'s history with grow-oracle',
+  },
+  BP: {
+    cause: 'The TWAP period is zero',
+    suggestion: 'Pass a positive --twap-minutes',
+  },
+  'Insufficient token': {
+    cause: 'The router holds less of the output token than the combined minimum of the split',
+    suggestion: 'The price moved since the quote, quote again or raise --slippage',
+  },
+  'Insufficient WETH9': {
+    cause: 'The router holds less WETH than the minimum to unwrap',
+    suggestion: 'The price moved since the quote, quote again or raise --slippage',
+  },
+  'Not WETH9': {
+    cause: 'ETH was sent to the router by something other than WETH9',
+    suggestion: 'Send native ETH as the swap value, not with a separate transfer',
+  },
+  'ERC20: transfer amount exceeds balance': {
+    cause: 'The wallet holds fewer tokens than the swap spends',
+    suggestion: 'Lower --amount or fund the wallet, see the balances command',
+  },
+  'ERC20: transfer amount exceeds allowance': {
+    cause: 'The router is approved for fewer tokens than the swap spends',
+    suggestion: 'Approve the router for the amount with the approve command',
+  },
+  'ERC20: insufficient allowance': {
+    cause: 'The router is approved for fewer tokens than the swap spends',
+    suggestion: 'Approve the router for the amount with the approve command',
+  },
+  'Dai/insufficient-balance': {
+    cause: 'The wallet holds less DAI than the swap spends',
+    suggestion: 'Lower --amount or fund the wallet, see the balances command',
+  },
+  'Dai/insufficient-allowance': {
+    cause: 'The router is approved for less DAI than the swap spends',
+    suggestion: 'Approve the router for the amount with the approve command',
+  },
+  'Dai/invalid-permit': {
+    cause: 'The DAI permit signature was rejected',
+    suggestion: 'Retry with --no-permit to send a separate approve transaction',
+  },
+  'Dai/permit-expired': {
+    cause: 'The DAI permit expired before the transaction was mined',
+    suggestion: 'Raise --deadline or retry with --no-permit',
+  },
+};
+
+// Reasons meaning a price bound was hit rather than the swap being impossible
+const SLIPPAGE_REASONS = new Set(['Too little received', 'Too much requested', 'Insufficient token', 'Insufficient WETH9', 'TD']);
+
+export function isSlippageRevert(revert) {
+  return Boolean(revert) && SLIPPAGE_REASONS.has(revert.reason);
+}
+
+// Custom errors of OpenZeppelin 5 and other common token implementations
+const CUSTOM_ERRORS = new ethers.Interface([
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC2612ExpiredSignature(uint256 deadline)',
+  'error ERC2612InvalidSigner(address signer, address owner)',
+  'error InsufficientBalance()',
+  'error InsufficientAllowance()',
+  'error TransferFromFailed()',
+  'error TransferFailed()',
+]);
+
+const CUSTOM_ERROR_CAUSES = {
+  ERC20InsufficientBalance: (args) => ({
+    cause: `The wallet holds ${args.balance} of the ${args.needed} token units the swap spends`,
+    suggestion: 'Lower --amount or fund the wallet, see the balances command',
+  }),
+  ERC20InsufficientAllowance: (args) => ({
+    cause: `The router is approved for ${args.allowance} of the ${args.needed} token units the swap spends`,
+    suggestion: 'Approve the router for the amount with the approve command',
+  }),
+  ERC20InvalidSender: () => ({
+    cause: 'The token rejected the sender of a transfer',
+    suggestion: 'The token may be paused or restrict who can transfer it',
+  }),
+  ERC20InvalidReceiver: () => ({
+    cause: 'The token rejected the receiver of a transfer',
+    suggestion: 'Check --recipient, the token may block the address',
+  }),
+  ERC2612ExpiredSignature: () => ({
+    cause: 'The permit expired before the transaction was mined',
+    suggestion: 'Raise --deadline or retry with --no-permit',
+  }),
+  ERC2612InvalidSigner: () => ({
+    cause: 'The permit signature was rejected by the token',
+    suggestion: 'Retry with --no-permit to send a separate approve transaction',
+  }),
+  InsufficientBalance: () => KNOWN_REASONS['ERC20: transfer amount exceeds balance'],
+  InsufficientAllowance: () => KNOWN_REASONS['ERC20: transfer amount exceeds allowance'],
+  TransferFromFailed: () => KNOWN_REASONS.STF,
+  TransferFailed: () => KNOWN_REASONS.ST,
+};
+
+const PANIC_CAUSES = {
+  0x01: 'an assertion failed',
+  0x11: 'an arithmetic overflow or underflow',
+  0x12: 'a division by zero',
+  0x32: 'an out-of-bounds array access',
+};
+
+const UNKNOWN_REVERT = {
+  cause: 'The transaction reverted without a reason',
+  suggestion: 'Check the pool\'s liquidity and price impact with the quote or simulate command, or try a smaller amount',
+};
+
+function isRevertData(value) {
+  return typeof value === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(value) && value.length >= 10;
+}
+
+// Revert data buried in an ethers or JSON-RPC error, wherever the provider put it
+export function extractRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 5) return null;
+  if (isRevertData(error.data)) return error.data;
+  if (error.data && isRevertData(error.data.data)) return error.data.data;
+
+  for (const key of ['error', 'info', 'cause']) {
+    const found = extractRevertData(error[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Cause and suggestion for revert data or a plain reason string.
+ *
+ * @param {string|null} data ABI-encoded revert data
+ * @param {string|null} [reasonText] Reason the provider already decoded, used when there is no data
+ * @returns {{ reason: string|null, cause: string, suggestion: string }}
+ */
+export function decodeRevert(data, reasonText = null) {
+  if (data) {
+    try {
+      const coder = ethers.AbiCoder.defaultAbiCoder();
+      const selector = data.slice(0, 10);
+      if (selector === '0x08c379a0') {
+        const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+        return explainReason(reason);
+      }
+      if (selector === '0x4e487b71') {
+        const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+        const description = PANIC_CAUSES[Number(code)] || `panic code 0x${code.toString(16)}`;
+        return { reason: `Panic(0x${code.toString(16)})`, cause: `A contract hit ${description}`, suggestion: UNKNOWN_REVERT.suggestion };
+      }
+    } catch {
+      // Malformed revert data falls through to the custom errors
+    }
+
+    const custom = CUSTOM_ERRORS.parseError(data);
+    if (custom) {
+      return { reason: custom.name, ...CUSTOM_ERROR_CAUSES[custom.name](custom.args) };
+    }
+    return {
+      reason: `custom error ${data.slice(0, 10)}`,
+      cause: `The transaction reverted with an unrecognised custom error ${data.slice(0, 10)}`,
+      suggestion: UNKNOWN_REVERT.suggestion,
+    };
+  }
+
+  return reasonText ? explainReason(reasonText) : { reason: null, ...UNKNOWN_REVERT };
+}
+
+function explainReason(reason) {
+  const known = KNOWN_REASONS[reason];
+  return known ?
+    { reason, ...known } :
+    { reason, cause: `The transaction reverted with "${reason}"`, suggestion: UNKNOWN_REVERT.suggestion };
+}
+
+// Revert data of a mined, reverted transaction, by replaying it with eth_call on the state before its block
+export async function replayRevert(provider, transactionHash) {
+  const [transaction, receipt] = await Promise.all([
+    provider.getTransaction(transactionHash),
+    provider.getTransactionReceipt(transactionHash),
+  ]);
+  if (!transaction || !receipt) return null;
+
+  try {
+    await provider.call({
+      from: transaction.from,
+      to: transaction.to,
+      data: transaction.data,
+      value: transaction.value,
+      gasLimit: transaction.gasLimit,
+      blockTag: receipt.blockNumber - 1,
+    });
+  } catch (error) {
+    return { data: extractRevertData(error), reason: error.reason ?? null };
+  }
+  // The replay succeeded, so the revert depended on a transaction mined before it in the same block
+  return null;
+}
+
+/**
+ * Decode why a transaction failed: an estimateGas or call error carries the revert data,
+ * a mined revert (error.receipt from the transaction manager) is replayed first.
+ *
+ * @param {ethers.Provider} provider
+ * @param {Error} error
+ * @returns {Promise<{ reason: string|null, cause: string, suggestion: string }|null>} null when the error is not a revert
+ */
+export async function explainRevert(provider, error) {
+  let data = extractRevertData(error);
+  let reasonText = error.reason ?? null;
+
+  if (!data && !reasonText && error.receipt) {
+    const replayed = await replayRevert(provider, error.receipt.hash).catch(() => null);
+    if (replayed) {
+      data = replayed.data;
+      reasonText = replayed.reason;
+    }
+  }
+  if (!data && !reasonText && !error.receipt && error.code !== 'CALL_EXCEPTION') {
+    return null;
+  }
+  return decodeRevert(data, reasonText);
+}
@@ -0,0 +1,144 @@
+import { ethers } from 'ethers';
+
+// ========================
+// ROUTE DISCOVERY HELPERS
+// ========================
+// A route is a list of tokens and the fee tier of the pool used for each hop
+// between them, e.g. tokens [A, WETH, B] with fees [3000, 500].
+
+// Fee tiers enabled on the canonical deployments. Each is checked against the
+// factory's feeAmountTickSpacing before use, since forks and new chains may differ.
+export const KNOWN_FEE_TIERS = [100, 500, 3000, 10000];
+export const DEFAULT_MAX_HOPS = 2;
+
+// Encode a route as the packed path used by exactInput/quoteExactInput:
+// token0 (20 bytes) | fee (3 bytes) | token1 (20 bytes) | fee | token2 ...
+export function encodePath(tokens, fees) {
+  if (tokens.length !== fees.length + 1) {
+    throw new Error(`Path needs one fee per hop: got ${tokens.length} tokens and ${fees.length} fees`);
+  }
+
+  const types = [];
+  const values = [];
+  tokens.forEach((token, index) => {
+    types.push('address');
+    values.push(token);
+    if (index < fees.length) {
+      types.push('uint24');
+      values.push(fees[index]);
+    }
+  });
+
+  return ethers.solidityPacked(types, values);
+}
+
+// exactOutput/quoteExactOutput take the path from tokenOut back to tokenIn
+export function encodeReversePath(tokens, fees) {
+  return encodePath([...tokens].reverse(), [...fees].reverse());
+}
+
+// All token sequences from tokenIn to tokenOut through distinct base tokens, up to maxHops pools
+export function enumerateTokenPaths(tokenIn, tokenOut, baseTokens, maxHops) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const intermediates = baseTokens.filter((token, index) =>
+    !same(token, tokenIn) && !same(token, tokenOut) &&
+    baseTokens.findIndex((other) => same(other, token)) === index
+  );
+
+  const paths = [];
+  const extend = (path) => {
+    if (path.length > maxHops) return;
+    paths.push([...path, tokenOut]);
+    for (const token of intermediates) {
+      if (!path.some((used) => same(used, token))) {
+        extend([...path, token]);
+      }
+    }
+  };
+  extend([tokenIn]);
+
+  return paths.sort((a, b) => a.length - b.length);
+}
+
+// Expand token sequences into routes over pools that exist.
+// getPool(tokenA, tokenB, fee) resolves to the pool address or ethers.ZeroAddress.
+export async function findRoutes({ tokenIn, tokenOut, baseTokens, maxHops, feeTiers, getPool }) {
+  const routes = [];
+
+  for (const tokens of enumerateTokenPaths(tokenIn, tokenOut, baseTokens, maxHops)) {
+    // Pools available for each hop of this token sequence
+    const hops = [];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      const pools = [];
+      for (const fee of feeTiers) {
+        const pool = await getPool(tokens[i], tokens[i + 1], fee);
+        if (pool !== ethers.ZeroAddress) pools.push({ fee, pool });
+      }
+      if (pools.length === 0) break;
+      hops.push(pools);
+    }
+    if (hops.length !== tokens.length - 1) continue;
+
+    // One route per combination of fee tiers
+    let combinations = [[]];
+    for (const pools of hops) {
+      combinations = combinations.flatMap((combination) => pools.map((pool) => [...combination, pool]));
+    }
+    for (const combination of combinations) {
+      const fees = combination.map((hop) => hop.fee);
+      routes.push({
+        tokens,
+        fees,
+        pools: combination.map((hop) => hop.pool),
+        path: encodePath(tokens, fees),
+      });
+    }
+  }
+
+  return routes;
+}
+
+// Human readable route, e.g. "WETH -(0.05%)-> USDC -(0.3%)-> DAI"
+export function describeRoute(route, labelOf = (address) => address) {
+  return route.tokens.map((token, index) => {
+    const label = labelOf(token);
+    return index < route.fees.length ? `${label} -(${route.fees[index] / 10000}%)->` : label;
+  }).join(' ');
+}
+
+// Routes that go through the same pool cannot be quoted independently
+function sharePool(routeA, routeB) {
+  return routeA.pools.some((pool) => routeB.pools.includes(pool));
+}
+
+// Best way to divide `steps` equal parts of the input between up to maxLegs routes.
+// quotes[r][k] is route r's output for k parts (index 0 unused), or null when that quote failed.
+// Returns { legs: [{ index, parts }], total } for the best split of two or more legs, or null.
+export function findBestSplit(routes, quotes, steps, maxLegs) {
+  let best = null;
+  const chosen = [];
+
+  const search = (start, remaining, total) => {
+    if (remaining === 0) {
+      if (chosen.length > 1 && (best === null || total > best.total)) {
+        best = { legs: chosen.map((leg) => ({ ...leg })), total };
+      }
+      return;
+    }
+    if (chosen.length === maxLegs) return;
+
+    for (let index = start; index < routes.length; index++) {
+      if (chosen.some((leg) => sharePool(routes[leg.index], routes[index]))) continue;
+      for (let parts = 1; parts <= remaining; parts++) {
+        const quote = quotes[index][parts];
+        if (quote === null || quote === undefined) continue;
+        chosen.push({ index, parts });
+        search(index + 1, remaining - parts, total + quote);
+        chosen.pop();
+      }
+    }
+  };
+
+  search(0, steps, BigInt(0));
+  return best;
+}
@@ -0,0 +1,407 @@
+import { ethers } from 'ethers';
+
+// ========================
+// OFFLINE SWAP SIMULATOR
+// ========================
+// Port of the UniswapV3Pool swap loop (TickMath, SqrtPriceMath, SwapMath, TickBitmap) to BigInt.
+// Pool state is read once with loadPoolState, after which any number of swaps can be
+// simulated without RPC calls. Rounding follows the contracts step for step, including the
+// per-word stepping of the tick bitmap, so results match the Quoter to the wei.
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+export const MIN_SQRT_RATIO = BigInt('4295128739');
+export const MAX_SQRT_RATIO = BigInt('1461446703485210103287273052203988822378723970342');
+
+const Q96 = BigInt(1) << BigInt(96);
+const MAX_UINT160 = (BigInt(1) << BigInt(160)) - BigInt(1);
+const MAX_UINT256 = ethers.MaxUint256;
+const FEE_DENOMINATOR = BigInt(1000000);
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+
+// Bitmap words read on each side of the current tick unless told otherwise.
+// 64 words cover 16384 tick spacings: the full range from the 0.3% tier up.
+export const DEFAULT_WORD_RADIUS = 64;
+
+// Concurrent eth_calls while loading ticks
+const LOAD_BATCH_SIZE = 20;
+
+// ---------- FullMath ----------
+
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  return product / denominator + (product % denominator > ZERO ? ONE : ZERO);
+}
+
+function divRoundingUp(a, b) {
+  return a / b + (a % b > ZERO ? ONE : ZERO);
+}
+
+// ---------- TickMath ----------
+
+const TICK_RATIO_FACTORS = [
+  [0x2, '0xfff97272373d413259a46990580e213a'],
+  [0x4, '0xfff2e50f5f656932ef12357cf3c7fdcc'],
+  [0x8, '0xffe5caca7e10e4e61c3624eaa0941cd0'],
+  [0x10, '0xffcb9843d60f6159c9db58835c926644'],
+  [0x20, '0xff973b41fa98c081472e6896dfb254c0'],
+  [0x40, '0xff2ea16466c96a3843ec78b326b52861'],
+  [0x80, '0xfe5dee046a99a2a811c461f1969c3053'],
+  [0x100, '0xfcbe86c7900a88aedcffc83b479aa3a4'],
+  [0x200, '0xf987a7253ac413176f2b074cf7815e54'],
+  [0x400, '0xf3392b0822b70005940c7a398e4b70f3'],
+  [0x800, '0xe7159475a2c29b7443b29c7fa6e889d9'],
+  [0x1000, '0xd097f3bdfd2022b8845ad8f792aa5825'],
+  [0x2000, '0xa9f746462d870fdf8a65dc1f90e061e5'],
+  [0x4000, '0x70d869a156d2a1b890bb3df62baf32f7'],
+  [0x8000, '0x31be135f97d08fd981231505542fcfa6'],
+  [0x10000, '0x9aa508b5b7a84e1c677de54f3e99bc9'],
+  [0x20000, '0x5d6af8dedb81196699c329225ee604'],
+  [0x40000, '0x2216e584f5fa1ea926041bedfe98'],
+  [0x80000, '0x48a170391f7dc42444e8fa2'],
+].map(([bit, factor]) => [bit, BigInt(factor)]);
+
+export function getSqrtRatioAtTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick ${tick} is out of range`);
+  }
+  const absTick = Math.abs(tick);
+
+  let ratio = absTick & 0x1 ? BigInt('0xfffcb933bd6fad37aa2d162d1a594001') : BigInt(1) << BigInt(128);
+  for (const [bit, factor] of TICK_RATIO_FACTORS) {
+    if (absTick & bit) ratio = (ratio * factor) >> BigInt(128);
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 to Q64.96, rounding up so getTickAtSqrtRatio stays consistent
+  return (ratio >> BigInt(32)) + (ratio % (BigInt(1) << BigInt(32)) === ZERO ? ZERO : ONE);
+}
+
+// Greatest tick whose sqrt ratio is at most sqrtPriceX96, found by binary search over getSqrtRatioAtTick
+export function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error(`sqrtPriceX96 ${sqrtPriceX96} is out of range`);
+  }
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (getSqrtRatioAtTick(middle) <= sqrtPriceX96) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+// ---------- SqrtPriceMath ----------
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount, add) {
+  if (amount === ZERO) return sqrtPriceX96;
+  const numerator1 = liquidity << BigInt(96);
+  const product = amount * sqrtPriceX96;
+
+  if (add) {
+    // The contract takes the precise branch only while product and denominator fit in 256 bits
+    if (product <= MAX_UINT256 && numerator1 + product <= MAX_UINT256) {
+      return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 + product);
+    }
+    return divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+  }
+
+  if (product > MAX_UINT256 || numerator1 <= product) {
+    throw new Error('Not enough liquidity for the requested output');
+  }
+  return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 - product);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount, add) {
+  if (add) {
+    const next = sqrtPriceX96 + mulDiv(amount, Q96, liquidity);
+    if (next > MAX_UINT160) throw new Error('Price overflow');
+    return next;
+  }
+
+  const quotient = mulDivRoundingUp(amount, Q96, liquidity);
+  if (sqrtPriceX96 <= quotient) {
+    throw new Error('Not enough liquidity for the requested output');
+  }
+  return sqrtPriceX96 - quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+  return zeroForOne ?
+    getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn, true) :
+    getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn, true);
+}
+
+function getNextSqrtPriceFromOutput(sqrtPriceX96, liquidity, amountOut, zeroForOne) {
+  return zeroForOne ?
+    getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountOut, false) :
+    getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountOut, false);
+}
+
+export function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioA > sqrtRatioB ? [sqrtRatioB, sqrtRatioA] : [sqrtRatioA, sqrtRatioB];
+  const numerator1 = liquidity << BigInt(96);
+  const numerator2 = upper - lower;
+  return roundUp ?
+    divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower) :
+    mulDiv(numerator1, numerator2, upper) / lower;
+}
+
+export function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioA > sqrtRatioB ? [sqrtRatioB, sqrtRatioA] : [sqrtRatioA, sqrtRatioB];
+  return roundUp ? mulDivRoundingUp(liquidity, upper - lower, Q96) : mulDiv(liquidity, upper - lower, Q96);
+}
+
+// ---------- SwapMath ----------
+
+// One step of a swap towards sqrtRatioTargetX96. amountRemaining is positive for exact input
+// and negative for exact output, as in the contract.
+function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const exactIn = amountRemaining >= ZERO;
+  const fee = BigInt(feePips);
+
+  let sqrtRatioNextX96;
+  let amountIn = ZERO;
+  let amountOut = ZERO;
+
+  if (exactIn) {
+    const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    amountIn = zeroForOne ?
+      getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true) :
+      getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+    sqrtRatioNextX96 = amountRemainingLessFee >= amountIn ?
+      sqrtRatioTargetX96 :
+      getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  } else {
+    amountOut = zeroForOne ?
+      getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false) :
+      getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+    sqrtRatioNextX96 = -amountRemaining >= amountOut ?
+      sqrtRatioTargetX96 :
+      getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, -amountRemaining, zeroForOne);
+  }
+
+  const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+  if (zeroForOne) {
+    amountIn = max && exactIn ? amountIn : getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    amountOut = max && !exactIn ? amountOut : getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    amountIn = max && exactIn ? amountIn : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    amountOut = max && !exactIn ? amountOut : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  // Exact output never pays out more than requested
+  if (!exactIn && amountOut > -amountRemaining) {
+    amountOut = -amountRemaining;
+  }
+
+  const feeAmount = exactIn && sqrtRatioNextX96 !== sqrtRatioTargetX96 ?
+    amountRemaining - amountIn :
+    mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee);
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+// ---------- TickBitmap ----------
+
+// Tick index divided by the spacing, rounded towards negative infinity
+function compress(tick, tickSpacing) {
+  return Math.floor(tick / tickSpacing);
+}
+
+function mostSignificantBit(value) {
+  return value.toString(2).length - 1;
+}
+
+function leastSignificantBit(value) {
+  return mostSignificantBit(value & -value);
+}
+
+// Next initialized tick in the same bitmap word as `tick`, or the word's edge when there is none
+function nextInitializedTickWithinOneWord(state, tick, lte) {
+  const { tickSpacing, bitmap } = state;
+  const compressed = compress(tick, tickSpacing);
+
+  const position = (value) => {
+    const wordPos = value >> 8;
+    if (wordPos < state.minWord || wordPos > state.maxWord) {
+      throw new Error(`Swap moves past the loaded tick range (word ${wordPos}), load the pool with a larger word radius`);
+    }
+    return { word: bitmap.get(wordPos) ?? ZERO, bitPos: value & 0xff };
+  };
+
+  if (lte) {
+    const { word, bitPos } = position(compressed);
+    const mask = (ONE << BigInt(bitPos)) - ONE + (ONE << BigInt(bitPos));
+    const masked = word & mask;
+    return masked !== ZERO ?
+      { tickNext: (compressed - (bitPos - mostSignificantBit(masked))) * tickSpacing, initialized: true } :
+      { tickNext: (compressed - bitPos) * tickSpacing, initialized: false };
+  }
+
+  const { word, bitPos } = position(compressed + 1);
+  const mask = MAX_UINT256 - ((ONE << BigInt(bitPos)) - ONE);
+  const masked = word & mask;
+  return masked !== ZERO ?
+    { tickNext: (compressed + 1 + (leastSignificantBit(masked) - bitPos)) * tickSpacing, initialized: true } :
+    { tickNext: (compressed + 1 + (255 - bitPos)) * tickSpacing, initialized: false };
+}
+
+// ---------- Pool state ----------
+
+// Read everything a swap simulation needs from a pool contract (abis/pool.json): slot0, active
+// liquidity, fee, tick spacing, the tick bitmap within wordRadius words of the current tick
+// and liquidityNet of every initialized tick in those words.
+export async function loadPoolState(poolContract, { wordRadius = DEFAULT_WORD_RADIUS } = {}) {
+  const [slot0, liquidity, fee, tickSpacing, token0, token1] = await Promise.all([
+    poolContract.slot0(),
+    poolContract.liquidity(),
+    poolContract.fee(),
+    poolContract.tickSpacing(),
+    poolContract.token0(),
+    poolContract.token1(),
+  ]);
+
+  const state = {
+    address: await poolContract.getAddress(),
+    token0,
+    token1,
+    fee: Number(fee),
+    tickSpacing: Number(tickSpacing),
+    sqrtPriceX96: slot0.sqrtPriceX96,
+    tick: Number(slot0.tick),
+    liquidity,
+    bitmap: new Map(),
+    liquidityNet: new Map(),
+  };
+
+  const currentWord = compress(state.tick, state.tickSpacing) >> 8;
+  state.minWord = Math.max(compress(MIN_TICK, state.tickSpacing) >> 8, currentWord - wordRadius);
+  state.maxWord = Math.min(compress(MAX_TICK, state.tickSpacing) >> 8, currentWord + wordRadius);
+
+  const wordPositions = [];
+  for (let wordPos = state.minWord; wordPos <= state.maxWord; wordPos++) wordPositions.push(wordPos);
+  for (let i = 0; i < wordPositions.length; i += LOAD_BATCH_SIZE) {
+    const batch = wordPositions.slice(i, i + LOAD_BATCH_SIZE);
+    const words = await Promise.all(batch.map((wordPos) => poolContract.tickBitmap(wordPos)));
+    batch.forEach((wordPos, index) => {
+      if (words[index] !== ZERO) state.bitmap.set(wordPos, words[index]);
+    });
+  }
+
+  const initializedTicks = [];
+  for (const [wordPos, word] of state.bitmap) {
+    for (let bitPos = 0; bitPos < 256; bitPos++) {
+      if ((word >> BigInt(bitPos)) & ONE) initializedTicks.push(((wordPos << 8) + bitPos) * state.tickSpacing);
+    }
+  }
+  for (let i = 0; i < initializedTicks.length; i += LOAD_BATCH_SIZE) {
+    const batch = initializedTicks.slice(i, i + LOAD_BATCH_SIZE);
+    const ticks = await Promise.all(batch.map((tick) => poolContract.ticks(tick)));
+    batch.forEach((tick, index) => state.liquidityNet.set(tick, ticks[index].liquidityNet));
+  }
+
+  return state;
+}
+
+// ---------- Swap ----------
+
+// Run the pool's swap loop on a loaded state without changing it.
+// amountSpecified is positive for exact input and negative for exact output.
+// Returns { amount0, amount1, sqrtPriceX96After, tickAfter, liquidityAfter, initializedTicksCrossed, feeAmount }
+// with amounts signed from the pool's point of view, as UniswapV3Pool.swap returns them.
+export function simulateSwap(state, zeroForOne, amountSpecified, sqrtPriceLimitX96 = null) {
+  if (amountSpecified === ZERO) throw new Error('Swap amount must not be zero');
+  const limit = sqrtPriceLimitX96 ?? (zeroForOne ? MIN_SQRT_RATIO + ONE : MAX_SQRT_RATIO - ONE);
+  if (zeroForOne ?
+    limit >= state.sqrtPriceX96 || limit <= MIN_SQRT_RATIO :
+    limit <= state.sqrtPriceX96 || limit >= MAX_SQRT_RATIO) {
+    throw new Error('Invalid price limit');
+  }
+
+  const exactInput = amountSpecified > ZERO;
+  let amountSpecifiedRemaining = amountSpecified;
+  let amountCalculated = ZERO;
+  let sqrtPriceX96 = state.sqrtPriceX96;
+  let tick = state.tick;
+  let liquidity = state.liquidity;
+  let initializedTicksCrossed = 0;
+  let feeAmount = ZERO;
+
+  while (amountSpecifiedRemaining !== ZERO && sqrtPriceX96 !== limit) {
+    const sqrtPriceStartX96 = sqrtPriceX96;
+    let { tickNext, initialized } = nextInitializedTickWithinOneWord(state, tick, zeroForOne);
+    tickNext = Math.min(Math.max(tickNext, MIN_TICK), MAX_TICK);
+    const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+
+    const target = (zeroForOne ? sqrtPriceNextX96 < limit : sqrtPriceNextX96 > limit) ? limit : sqrtPriceNextX96;
+    const step = computeSwapStep(sqrtPriceX96, target, liquidity, amountSpecifiedRemaining, state.fee);
+    sqrtPriceX96 = step.sqrtRatioNextX96;
+    feeAmount += step.feeAmount;
+
+    if (exactInput) {
+      amountSpecifiedRemaining -= step.amountIn + step.feeAmount;
+      amountCalculated -= step.amountOut;
+    } else {
+      amountSpecifiedRemaining += step.amountOut;
+      amountCalculated += step.amountIn + step.feeAmount;
+    }
+
+    if (sqrtPriceX96 === sqrtPriceNextX96) {
+      if (initialized) {
+        const liquidityNet = state.liquidityNet.get(tickNext) ?? ZERO;
+        liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+        initializedTicksCrossed++;
+      }
+      tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+      tick = getTickAtSqrtRatio(sqrtPriceX96);
+    }
+  }
+
+  const amountUsed = amountSpecified - amountSpecifiedRemaining;
+  const [amount0, amount1] = zeroForOne === exactInput ?
+    [amountUsed, amountCalculated] :
+    [amountCalculated, amountUsed];
+
+  return {
+    amount0,
+    amount1,
+    sqrtPriceX96After: sqrtPriceX96,
+    tickAfter: tick,
+    liquidityAfter: liquidity,
+    initializedTicksCrossed,
+    feeAmount,
+  };
+}
+
+// quoteExactInputSingle equivalent: output for selling amountIn of tokenIn.
+// Like the pool, a swap that runs out of liquidity stops early; amountIn reports what was used.
+export function simulateExactInput(state, tokenIn, amountIn) {
+  const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+  const result = simulateSwap(state, zeroForOne, amountIn);
+  const [paid, received] = zeroForOne ? [result.amount0, result.amount1] : [result.amount1, result.amount0];
+  return { ...result, amountIn: paid, amountOut: -received };
+}
+
+// quoteExactOutputSingle equivalent: input needed to buy amountOut of the other token.
+// Throws when the pool cannot deliver the full amount, as the Quoter does.
+export function simulateExactOutput(state, tokenIn, amountOut) {
+  const zeroForOne = tokenIn.toLowerCase() === state.token0.toLowerCase();
+  const result = simulateSwap(state, zeroForOne, -amountOut);
+  const [paid, received] = zeroForOne ? [result.amount0, result.amount1] : [result.amount1, result.amount0];
+  if (-received !== amountOut) {
+    throw new Error(`Pool can only deliver ${-received} of the requested ${amountOut}`);
+  }
+  return { ...result, amountIn: paid, amountOut: -received };
+}
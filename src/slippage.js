@@ -0,0 +1,46 @@
+// ========================
+// SLIPPAGE AND PRICE IMPACT
+// ========================
+// Tolerances are whole basis points and every amount stays a BigInt, so nothing finer than
+// one wei is lost to rounding. Minimums round down and maximums round up, so a bound is never
+// stricter than the tolerance asked for.
+
+export const BPS = BigInt(10000);
+
+// Smallest acceptable output for a quote, slippageBps below it
+export function minimumAmountOut(amountOut, slippageBps) {
+  return (amountOut * (BPS - BigInt(slippageBps))) / BPS;
+}
+
+// Largest acceptable input for an exact-output quote, slippageBps above it
+export function maximumAmountIn(amountIn, slippageBps) {
+  const product = amountIn * (BPS + BigInt(slippageBps));
+  return product / BPS + (product % BPS > BigInt(0) ? BigInt(1) : BigInt(0));
+}
+
+// How far a swap moves the route's marginal price against the trader, in basis points rounded up.
+// tokens is the route's token sequence; midSqrtPrices and afterSqrtPrices hold each pool's
+// sqrtPriceX96 before the swap (slot0) and after it (the Quoter's sqrtPriceX96After).
+export function priceImpactBps(tokens, midSqrtPrices, afterSqrtPrices) {
+  let numerator = BigInt(1);
+  let denominator = BigInt(1);
+
+  // Output per input falls in both directions: token1/token0 drops when selling token0, and
+  // rises (so its inverse drops) when selling token1
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const zeroForOne = tokens[i].toLowerCase() < tokens[i + 1].toLowerCase();
+    const mid = midSqrtPrices[i] * midSqrtPrices[i];
+    const after = afterSqrtPrices[i] * afterSqrtPrices[i];
+    numerator *= zeroForOne ? after : mid;
+    denominator *= zeroForOne ? mid : after;
+  }
+
+  return Math.max(0, Number(BPS - (numerator * BPS) / denominator));
+}
+
+// How much worse the executed price was than the quoted one, in basis points; negative when it was better.
+// Works for either direction: exact input compares outputs, exact output compares inputs.
+export function realisedSlippageBps(quotedAmountIn, quotedAmountOut, amountIn, amountOut) {
+  if (quotedAmountOut === BigInt(0) || amountIn === BigInt(0)) return null;
+  return Number(BPS - (amountOut * quotedAmountIn * BPS) / (quotedAmountOut * amountIn));
+}
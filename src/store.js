@@ -0,0 +1,59 @@
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { UsageError } from './errors.js';
+
+// ========================
+// JSON RECORD STORE
+// ========================
+// Limit orders and DCA schedules are kept as a list of records with numeric ids in a JSON file,
+// under one key ({ "orders": [...] }). Every write re-reads the file, so records added or changed
+// by another process are not undone, and goes through a temporary file and a rename, so a crash
+// mid-write leaves the previous version intact.
+
+/**
+ * Records backed by a JSON file, created on the first write.
+ *
+ * @param {string} path
+ * @param {string} key Property of the file holding the list
+ * @param {string} label What a record is, for error messages
+ */
+export function createJsonStore(path, key, label) {
+  async function list() {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return JSON.parse(text)[key] || [];
+  }
+
+  async function save(records) {
+    const temporary = `${path}.tmp`;
+    await writeFile(temporary, `${JSON.stringify({ [key]: records }, null, 2)}\n`, 'utf8');
+    await rename(temporary, path);
+  }
+
+  // Store a new record under the next id
+  async function add(record) {
+    const records = await list();
+    const id = records.reduce((highest, existing) => Math.max(highest, existing.id), 0) + 1;
+    const stored = { id, ...record, createdAt: new Date().toISOString() };
+    await save([...records, stored]);
+    return stored;
+  }
+
+  // Merge changes into a record and return it
+  async function update(id, changes) {
+    const records = await list();
+    const index = records.findIndex((record) => record.id === id);
+    if (index === -1) {
+      throw new UsageError(`No ${label} with id ${id} in ${path}`);
+    }
+    records[index] = { ...records[index], ...changes, updatedAt: new Date().toISOString() };
+    await save(records);
+    return records[index];
+  }
+
+  return { path, list, add, update };
+}
@@ -0,0 +1,254 @@
+import { ethers } from 'ethers';
+import { silentLogger } from './logger.js';
+import { UsageError, TransactionError } from './errors.js';
+
+// ========================
+// TRANSACTION MANAGER
+// ========================
+// Every transaction the client sends goes through here: gas is estimated with a buffer,
+// fees follow an EIP-1559 strategy, nonces are tracked locally so back-to-back transactions
+// do not collide, and a transaction that is not mined in time is replaced with higher fees.
+
+// Priority fee and base fee headroom, in percent of the node's suggestion and the latest base fee
+export const FEE_STRATEGIES = {
+  slow: { priorityPercent: 100, baseFeePercent: 125 },
+  normal: { priorityPercent: 150, baseFeePercent: 200 },
+  fast: { priorityPercent: 250, baseFeePercent: 300 },
+};
+
+export const DEFAULT_TRANSACTION_OPTIONS = {
+  feeStrategy: 'normal',
+  maxFeeGwei: null, // Cap on maxFeePerGas, also for speed-ups
+  priorityFeeGwei: null, // Fixed priority fee instead of the strategy's
+  gasBufferPercent: 30,
+  speedUpAfterSeconds: 90,
+  maxSpeedUps: 3,
+  timeoutSeconds: 600, // Give up waiting, counted from the first broadcast
+};
+
+// Each replacement raises both fees by 25%, well above the 10% the mempool requires to accept it
+const SPEED_UP_PERCENT = BigInt(125);
+const POLL_INTERVAL_MS = 4000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function percentOf(value, percent) {
+  return (value * BigInt(percent)) / BigInt(100);
+}
+
+/**
+ * Create a transaction manager for one signer.
+ *
+ * @param {object} config
+ * @param {ethers.Provider} config.provider
+ * @param {ethers.Signer} config.signer
+ * @param {(hash: string) => string} [config.txUrl] Explorer link for log messages
+ * @param {object} [config.logger]
+ * @param {object} [config.options] Overrides for DEFAULT_TRANSACTION_OPTIONS
+ */
+export function createTransactionManager({ provider, signer, txUrl = (hash) => hash, logger = silentLogger, options = {} }) {
+  const settings = { ...DEFAULT_TRANSACTION_OPTIONS, ...options };
+  if (!FEE_STRATEGIES[settings.feeStrategy]) {
+    throw new UsageError(`Unknown fee strategy "${settings.feeStrategy}", use one of ${Object.keys(FEE_STRATEGIES).join(', ')}`);
+  }
+  const maxFeeCap = settings.maxFeeGwei !== null ? ethers.parseUnits(String(settings.maxFeeGwei), 'gwei') : null;
+
+  // Next nonce to use; the node's pending count wins if something else sent in between
+  let nextNonce = null;
+
+  async function reserveNonce() {
+    const pending = await provider.getTransactionCount(await signer.getAddress(), 'pending');
+    const nonce = nextNonce !== null && nextNonce > pending ? nextNonce : pending;
+    nextNonce = nonce + 1;
+    return nonce;
+  }
+
+  // Fee fields for a new transaction under a strategy, the configured one by default
+  async function feeFields(strategyName = settings.feeStrategy) {
+    const strategy = FEE_STRATEGIES[strategyName];
+    const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock('latest')]);
+
+    // Chains without EIP-1559 get a legacy gas price
+    if (!block || block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+      let gasPrice = percentOf(feeData.gasPrice, strategy.priorityPercent);
+      if (maxFeeCap !== null && gasPrice > maxFeeCap) gasPrice = maxFeeCap;
+      return { type: 0, gasPrice };
+    }
+
+    const suggestedPriority = feeData.maxPriorityFeePerGas ?? ethers.parseUnits('1', 'gwei');
+    let maxPriorityFeePerGas = settings.priorityFeeGwei !== null ?
+      ethers.parseUnits(String(settings.priorityFeeGwei), 'gwei') :
+      percentOf(suggestedPriority, strategy.priorityPercent);
+    let maxFeePerGas = percentOf(block.baseFeePerGas, strategy.baseFeePercent) + maxPriorityFeePerGas;
+
+    if (maxFeeCap !== null && maxFeePerGas > maxFeeCap) {
+      if (maxFeeCap < block.baseFeePerGas) {
+        logger.log(`WARNING: --max-fee is below the current base fee, the transaction waits until fees drop`);
+      }
+      maxFeePerGas = maxFeeCap;
+      if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // The same fees raised enough to replace a pending transaction, within the cap
+  function bumpFees(fees) {
+    const bump = (value) => {
+      const raised = (value * SPEED_UP_PERCENT) / BigInt(100);
+      return maxFeeCap !== null && raised > maxFeeCap ? maxFeeCap : raised;
+    };
+    return fees.type === 0 ?
+      { type: 0, gasPrice: bump(fees.gasPrice) } :
+      { type: 2, maxFeePerGas: bump(fees.maxFeePerGas), maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas) };
+  }
+
+  function describeFees(fees) {
+    return fees.type === 0 ?
+      `gas price ${ethers.formatUnits(fees.gasPrice, 'gwei')} gwei` :
+      `max fee ${ethers.formatUnits(fees.maxFeePerGas, 'gwei')} gwei, priority ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei`;
+  }
+
+  // First receipt among the hashes sent for one nonce, or null when none is mined before `until`.
+  // Throws when the nonce was used by a transaction this manager did not send.
+  async function waitForAny(hashes, nonce, until) {
+    const address = await signer.getAddress();
+    while (Date.now() < until) {
+      for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      }
+      if (await provider.getTransactionCount(address, 'latest') > nonce) {
+        // Receipts can lag the nonce by a block, look once more before giving up
+        for (const hash of hashes) {
+          const receipt = await provider.getTransactionReceipt(hash);
+          if (receipt) return receipt;
+        }
+        throw new TransactionError(`Nonce ${nonce} was used by another transaction`, { code: 'NONCE_USED', nonce, transactionHashes: hashes });
+      }
+      await sleep(Math.min(POLL_INTERVAL_MS, Math.max(0, until - Date.now())));
+    }
+    return null;
+  }
+
+  // Broadcast with a fixed nonce and fees, then wait, speeding up after each interval
+  async function broadcastAndWait(request, nonce, fees, label) {
+    const hashes = [];
+    const giveUpAt = Date.now() + settings.timeoutSeconds * 1000;
+    let currentFees = fees;
+    let attempt = 0;
+    let resend = true;
+
+    for (;;) {
+      if (resend) {
+        try {
+          const response = await signer.sendTransaction({ ...request, nonce, ...currentFees });
+          hashes.push(response.hash);
+          logger.log(`${label} Transaction Sent${attempt > 0 ? ` (speed-up ${attempt})` : ''}: ${txUrl(response.hash)}`);
+        } catch (error) {
+          // A rejected replacement (underpriced, or the original was just mined) leaves the earlier ones pending
+          if (attempt === 0) throw error;
+          logger.log(`${label} speed-up was not accepted, still waiting: ${error.shortMessage || error.message}`);
+        }
+      }
+
+      const canSpeedUp = attempt < settings.maxSpeedUps;
+      const until = canSpeedUp ? Math.min(giveUpAt, Date.now() + settings.speedUpAfterSeconds * 1000) : giveUpAt;
+      const receipt = await waitForAny(hashes, nonce, until);
+
+      if (receipt) {
+        if (receipt.status === 0) {
+          throw new TransactionError(`${label} transaction ${receipt.hash} reverted`, {
+            code: 'TRANSACTION_REVERTED', transactionHash: receipt.hash, receipt
+          });
+        }
+        logger.log(`${label} Transaction Confirmed: ${txUrl(receipt.hash)}`);
+        return receipt;
+      }
+
+      if (!canSpeedUp || Date.now() >= giveUpAt) {
+        throw new TransactionError(
+          `${label} transaction with nonce ${nonce} was not mined within ${settings.timeoutSeconds}s ` +
+          `(${hashes.join(', ')}), speed it up with higher fees or run the cancel command with --nonce ${nonce}`,
+          { code: 'TRANSACTION_TIMEOUT', nonce, transactionHashes: hashes }
+        );
+      }
+
+      const bumped = bumpFees(currentFees);
+      attempt++;
+      resend = describeFees(bumped) !== describeFees(currentFees);
+      if (!resend) {
+        // Already at the --max-fee cap, a replacement would be rejected as underpriced
+        logger.log(`${label} transaction not mined after ${settings.speedUpAfterSeconds}s and fees are at the cap, waiting`);
+        attempt = settings.maxSpeedUps;
+        continue;
+      }
+      currentFees = bumped;
+      logger.log(`${label} transaction not mined after ${settings.speedUpAfterSeconds}s, replacing with ${describeFees(currentFees)}`);
+    }
+  }
+
+  /**
+   * Estimate, price, sign and send a transaction and wait for it to be mined.
+   * Estimation failures are thrown as they are, since the transaction would revert.
+   *
+   * @param {ethers.TransactionRequest} transaction
+   * @param {string} [label] Name used in log messages, e.g. 'Approval'
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async function send(transaction, label = 'Transaction') {
+    const from = await signer.getAddress();
+    const request = { ...transaction, from };
+
+    const gasEstimate = await signer.estimateGas(request);
+    const gasLimit = percentOf(gasEstimate, 100 + settings.gasBufferPercent);
+    const fees = await feeFields();
+    const nonce = await reserveNonce();
+
+    logger.log(`Sending ${label.toLowerCase()} transaction: nonce ${nonce}, gas limit ${gasLimit} (estimate ${gasEstimate}), ${describeFees(fees)}`);
+
+    try {
+      return await broadcastAndWait({ ...request, gasLimit }, nonce, fees, label);
+    } catch (error) {
+      // A transaction that never reached the mempool leaves its nonce free
+      if (!(error instanceof TransactionError) && nextNonce === nonce + 1) {
+        nextNonce = null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a pending transaction with an empty transfer to self at higher fees.
+   * Without a nonce the oldest pending one is cancelled.
+   *
+   * @param {number} [nonce]
+   * @returns {Promise<{ nonce: number, receipt: ethers.TransactionReceipt }>}
+   */
+  async function cancel(nonce = null) {
+    const address = await signer.getAddress();
+    const [latest, pending] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending'),
+    ]);
+
+    const target = nonce ?? latest;
+    if (target < latest) {
+      throw new UsageError(`Nonce ${target} is already mined, nothing to cancel`);
+    }
+    if (target >= pending) {
+      // A nonce nothing was sent with yet would be a new transaction, not a replacement
+      throw new UsageError(nonce === null ?
+        `No pending transaction found for ${address}` :
+        `No pending transaction with nonce ${target} for ${address}, the next unused nonce is ${pending}`);
+    }
+
+    // The pending transaction's fees are unknown, so start one bump above the fast strategy
+    const fees = bumpFees(await feeFields('fast'));
+
+    logger.log(`Cancelling nonce ${target} with a 0 ETH transfer to self, ${describeFees(fees)}`);
+    const receipt = await broadcastAndWait({ to: address, value: BigInt(0), gasLimit: BigInt(21000) }, target, fees, 'Cancel');
+    return { nonce: target, receipt };
+  }
+
+  return { send, cancel, feeFields };
+}
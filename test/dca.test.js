@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInterval, duePeriods, maxPriceAmountOut, DCA_GRACE_SECONDS } from '../src/dca.js';
+import { UsageError } from '../src/errors.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2025-01-01T00:00:00.000Z');
+
+// An hourly schedule from START with the given catch-up policy and fields
+function schedule(catchUp, fields = {}) {
+  return {
+    startAt: new Date(START).toISOString(),
+    endAt: null,
+    intervalSeconds: 60 * 60,
+    catchUp,
+    nextPeriod: 0,
+    ...fields
+  };
+}
+
+test('parseInterval reads minutes, hours, days and weeks', () => {
+  assert.equal(parseInterval('30m'), 30 * 60);
+  assert.equal(parseInterval('12h'), 12 * 60 * 60);
+  assert.equal(parseInterval('1d'), 24 * 60 * 60);
+  assert.equal(parseInterval('2w'), 2 * 7 * 24 * 60 * 60);
+});
+
+test('parseInterval refuses zero, seconds, fractions and missing units', () => {
+  for (const value of ['0h', '30s', '1.5h', '12', 'h', '-1d', '']) {
+    assert.throws(() => parseInterval(value), UsageError, value);
+  }
+});
+
+test('duePeriods has nothing to do before the start', () => {
+  const due = duePeriods(schedule('all'), START - 1);
+  assert.deepEqual(due.execute, []);
+  assert.deepEqual(due.missed, []);
+  assert.equal(due.nextPeriod, 0);
+  assert.equal(due.completed, false);
+  assert.equal(due.nextRunAt, START);
+});
+
+test('duePeriods runs a period that just came due, whatever the policy', () => {
+  for (const catchUp of ['latest', 'all', 'skip']) {
+    const due = duePeriods(schedule(catchUp, { nextPeriod: 2 }), START + 2 * HOUR + 1000);
+    assert.deepEqual(due.execute, [2], catchUp);
+    assert.deepEqual(due.missed, [], catchUp);
+    assert.equal(due.nextPeriod, 3, catchUp);
+    assert.equal(due.nextRunAt, START + 3 * HOUR, catchUp);
+  }
+});
+
+test('duePeriods catches up on every missed period with all', () => {
+  const due = duePeriods(schedule('all', { nextPeriod: 1 }), START + 4 * HOUR + 30 * 60 * 1000);
+  assert.deepEqual(due.execute, [1, 2, 3, 4]);
+  assert.deepEqual(due.missed, []);
+  assert.equal(due.nextPeriod, 5);
+});
+
+test('duePeriods runs only the most recent missed period with latest', () => {
+  const due = duePeriods(schedule('latest', { nextPeriod: 1 }), START + 4 * HOUR + 30 * 60 * 1000);
+  assert.deepEqual(due.execute, [4]);
+  assert.deepEqual(due.missed, [1, 2, 3]);
+  assert.equal(due.nextPeriod, 5);
+});
+
+test('duePeriods with skip runs periods within the grace and misses the rest', () => {
+  const grace = DCA_GRACE_SECONDS * 1000;
+  assert.equal(grace, 15 * 60 * 1000);
+
+  const onTime = duePeriods(schedule('skip', { nextPeriod: 1 }), START + 4 * HOUR + grace);
+  assert.deepEqual(onTime.execute, [4]);
+  assert.deepEqual(onTime.missed, [1, 2, 3]);
+
+  const late = duePeriods(schedule('skip', { nextPeriod: 1 }), START + 4 * HOUR + grace + 1);
+  assert.deepEqual(late.execute, []);
+  assert.deepEqual(late.missed, [1, 2, 3, 4]);
+  assert.equal(late.nextPeriod, 5);
+});
+
+test('duePeriods completes a schedule at its end date', () => {
+  const ending = schedule('all', { endAt: new Date(START + 3 * HOUR + 10 * 60 * 1000).toISOString() });
+
+  const before = duePeriods(ending, START + 2 * HOUR);
+  assert.deepEqual(before.execute, [0, 1, 2]);
+  assert.equal(before.completed, false);
+  assert.equal(before.nextRunAt, START + 3 * HOUR);
+
+  // Period 3 is the last one before the end; nothing is due after it
+  const after = duePeriods({ ...ending, nextPeriod: before.nextPeriod }, START + 10 * HOUR);
+  assert.deepEqual(after.execute, [3]);
+  assert.equal(after.nextPeriod, 4);
+  assert.equal(after.completed, true);
+  assert.equal(after.nextRunAt, null);
+});
+
+test('duePeriods completes at the end date even when the last periods were missed', () => {
+  const ending = schedule('skip', { endAt: new Date(START + 2 * HOUR).toISOString() });
+  const due = duePeriods(ending, START + 10 * HOUR);
+  assert.deepEqual(due.execute, []);
+  assert.deepEqual(due.missed, [0, 1, 2]);
+  assert.equal(due.completed, true);
+  assert.equal(due.nextRunAt, null);
+});
+
+test('maxPriceAmountOut is the least output at the max price, rounded up', () => {
+  // 1000 USDC (6 decimals) at most 4000 USDC per WETH (18 decimals) buys at least 0.25 WETH
+  assert.equal(maxPriceAmountOut(BigInt(1000000000), 6, 18, '4000'), BigInt('250000000000000000'));
+  // 1 USDC at 3 USDC per WETH: 0.333... WETH, rounded up
+  assert.equal(maxPriceAmountOut(BigInt(1000000), 6, 18, '3'), BigInt('333333333333333334'));
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceRangeToTicks, liquidityForAmounts, amountsForLiquidity } from '../src/liquidity.js';
+import { getSqrtRatioAtTick } from '../src/simulator.js';
+
+const ONE = BigInt(10) ** BigInt(18);
+
+// Price 1 in a pool of two 18-decimal tokens, and a range of 1.0001^±600 around it
+const PAR = getSqrtRatioAtTick(0);
+const LOWER = -600;
+const UPPER = 600;
+
+test('priceRangeToTicks rounds each price to the nearest usable tick', () => {
+  // 0.5 and 2 are ticks -6931.8 and 6931.5; the nearest multiples of 60 are -6960 and 6960
+  assert.deepEqual(priceRangeToTicks('0.5', '2', 18, 18, true, 60), { tickLower: -6960, tickUpper: 6960 });
+});
+
+test('priceRangeToTicks takes the prices in either order', () => {
+  assert.deepEqual(priceRangeToTicks('2', '0.5', 18, 18, true, 60), priceRangeToTicks('0.5', '2', 18, 18, true, 60));
+});
+
+test('priceRangeToTicks inverts the range when the base token is token1', () => {
+  // 2500 to 3500 USDC (6 decimals) per WETH (18 decimals) is ticks -198079.7 to -194714.8 with
+  // WETH as token0, and 194714.8 to 198079.7 when USDC sorts first
+  assert.deepEqual(priceRangeToTicks('2500', '3500', 18, 6, true, 10), { tickLower: -198080, tickUpper: -194710 });
+  assert.deepEqual(priceRangeToTicks('2500', '3500', 18, 6, false, 10), { tickLower: 194710, tickUpper: 198080 });
+});
+
+test('priceRangeToTicks clamps prices beyond the pool to the last usable tick', () => {
+  const huge = '1000000000000000000000000000000000000000000';
+  assert.deepEqual(priceRangeToTicks('1', huge, 18, 18, true, 60), { tickLower: 0, tickUpper: 887220 });
+  assert.deepEqual(priceRangeToTicks('1', huge, 18, 18, false, 60), { tickLower: -887220, tickUpper: 0 });
+});
+
+test('priceRangeToTicks collapses a range narrower than the tick spacing', () => {
+  assert.deepEqual(priceRangeToTicks('1', '1.0001', 18, 18, true, 60), { tickLower: 0, tickUpper: 0 });
+});
+
+test('liquidityForAmounts in range is limited by the scarcer token', () => {
+  // L = amount0 * sqrtP * sqrtUpper / (sqrtUpper - sqrtP) = 1e18 * 1.030454 / 0.030454
+  const liquidity = BigInt('33837499809738371427');
+  assert.equal(liquidityForAmounts(PAR, LOWER, UPPER, ONE, ONE), liquidity);
+  assert.equal(liquidityForAmounts(PAR, LOWER, UPPER, ONE, BigInt(2) * ONE), liquidity);
+  assert.equal(liquidityForAmounts(PAR, LOWER, UPPER, BigInt(2) * ONE, ONE), liquidity);
+});
+
+test('liquidityForAmounts treats a null amount as unlimited', () => {
+  const liquidity = liquidityForAmounts(PAR, LOWER, UPPER, ONE, ONE);
+  assert.equal(liquidityForAmounts(PAR, LOWER, UPPER, ONE, null), liquidity);
+  assert.equal(liquidityForAmounts(PAR, LOWER, UPPER, null, ONE), liquidity);
+});
+
+test('liquidityForAmounts outside the range uses only the token the range holds', () => {
+  const below = getSqrtRatioAtTick(-1000);
+  const above = getSqrtRatioAtTick(1000);
+  const liquidity = BigInt('16665000373539200203');
+
+  // Below the range a position is all token0, above it all token1
+  assert.equal(liquidityForAmounts(below, LOWER, UPPER, ONE, null), liquidity);
+  assert.equal(liquidityForAmounts(below, LOWER, UPPER, ONE, BigInt(0)), liquidity);
+  assert.equal(liquidityForAmounts(below, LOWER, UPPER, null, ONE), null);
+  assert.equal(liquidityForAmounts(above, LOWER, UPPER, null, ONE), liquidity);
+  assert.equal(liquidityForAmounts(above, LOWER, UPPER, ONE, null), null);
+});
+
+test('liquidityForAmounts rounds down so the deposit never exceeds the amounts', () => {
+  for (const sqrtPriceX96 of [getSqrtRatioAtTick(-1000), getSqrtRatioAtTick(-123), PAR, getSqrtRatioAtTick(457), getSqrtRatioAtTick(1000)]) {
+    const amount0 = BigInt('1234567890123456789');
+    const amount1 = BigInt('987654321098765432');
+    const liquidity = liquidityForAmounts(sqrtPriceX96, LOWER, UPPER, amount0, amount1);
+
+    const deposit = amountsForLiquidity(sqrtPriceX96, LOWER, UPPER, liquidity, true);
+    assert.ok(deposit.amount0 <= amount0 && deposit.amount1 <= amount1);
+
+    // One more unit of liquidity needs more than one of the amounts
+    const more = amountsForLiquidity(sqrtPriceX96, LOWER, UPPER, liquidity + BigInt(1), true);
+    assert.ok(more.amount0 > amount0 || more.amount1 > amount1);
+  }
+});
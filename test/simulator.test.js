@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadPoolState, simulateSwap, simulateExactInput, simulateExactOutput } from '../src/simulator.js';
+
+// Pool states with the QuoterV2 quotes recorded for them, see `source` in the fixture
+const { pools } = JSON.parse(readFileSync(new URL('./fixtures/pools.json', import.meta.url), 'utf8'));
+
+// Answers the pool calls loadPoolState makes from a recorded state; unrecorded bitmap words are empty
+function recordedPool(pool) {
+  return {
+    getAddress: async () => pool.address,
+    slot0: async () => ({ sqrtPriceX96: BigInt(pool.slot0.sqrtPriceX96), tick: BigInt(pool.slot0.tick) }),
+    liquidity: async () => BigInt(pool.liquidity),
+    fee: async () => BigInt(pool.fee),
+    tickSpacing: async () => BigInt(pool.tickSpacing),
+    token0: async () => pool.token0,
+    token1: async () => pool.token1,
+    tickBitmap: async (wordPos) => BigInt(pool.tickBitmap[wordPos] ?? 0),
+    ticks: async (tick) => ({ liquidityNet: BigInt(pool.ticks[tick]) }),
+  };
+}
+
+function describeQuote(pool, quote) {
+  const amount = quote.kind === 'exactInput' ? quote.amountIn : quote.amountOut;
+  return `${pool.fee} pool, ${quote.kind} ${quote.zeroForOne ? 'token0 -> token1' : 'token1 -> token0'}, ${amount}`;
+}
+
+for (const pool of pools) {
+  test(`loads the initialized ticks of the ${pool.fee} pool within the word radius`, async () => {
+    const state = await loadPoolState(recordedPool(pool));
+    assert.equal(state.sqrtPriceX96, BigInt(pool.slot0.sqrtPriceX96));
+    assert.equal(state.tick, pool.slot0.tick);
+
+    const inRadius = ([tick]) => {
+      const wordPos = Math.floor(Number(tick) / pool.tickSpacing) >> 8;
+      return wordPos >= state.minWord && wordPos <= state.maxWord;
+    };
+    assert.deepEqual(
+      [...state.liquidityNet.entries()].sort(([a], [b]) => a - b),
+      Object.entries(pool.ticks).filter(inRadius)
+        .map(([tick, liquidityNet]) => [Number(tick), BigInt(liquidityNet)]).sort(([a], [b]) => a - b)
+    );
+  });
+
+  for (const quote of pool.quotes) {
+    test(`simulateSwap matches the Quoter: ${describeQuote(pool, quote)}`, async () => {
+      const state = await loadPoolState(recordedPool(pool));
+      const exactInput = quote.kind === 'exactInput';
+      const amountSpecified = exactInput ? BigInt(quote.amountIn) : -BigInt(quote.amountOut);
+      const result = simulateSwap(state, quote.zeroForOne, amountSpecified);
+
+      // Signed from the pool's point of view: it receives the input and pays the output
+      const [paid, received] = quote.zeroForOne ? [result.amount0, result.amount1] : [result.amount1, result.amount0];
+      assert.equal(paid, BigInt(quote.amountIn));
+      assert.equal(-received, BigInt(quote.amountOut));
+      assert.equal(result.sqrtPriceX96After, BigInt(quote.sqrtPriceX96After));
+      assert.equal(result.initializedTicksCrossed, quote.initializedTicksCrossed);
+    });
+
+    test(`${quote.kind === 'exactInput' ? 'simulateExactInput' : 'simulateExactOutput'} matches the Quoter: ${describeQuote(pool, quote)}`, async () => {
+      const state = await loadPoolState(recordedPool(pool));
+      const tokenIn = quote.zeroForOne ? pool.token0 : pool.token1;
+      const result = quote.kind === 'exactInput' ?
+        simulateExactInput(state, tokenIn, BigInt(quote.amountIn)) :
+        simulateExactOutput(state, tokenIn, BigInt(quote.amountOut));
+
+      assert.equal(result.amountIn, BigInt(quote.amountIn));
+      assert.equal(result.amountOut, BigInt(quote.amountOut));
+    });
+  }
+}
+
+test('the recorded quotes cross initialized ticks in both directions', () => {
+  for (const kind of ['exactInput', 'exactOutput']) {
+    for (const zeroForOne of [true, false]) {
+      const crossing = pools.flatMap((pool) => pool.quotes)
+        .filter((quote) => quote.kind === kind && quote.zeroForOne === zeroForOne && quote.initializedTicksCrossed > 0);
+      assert.ok(crossing.length > 0, `no ${kind} quote with zeroForOne ${zeroForOne} crosses a tick`);
+    }
+  }
+});
+
+test('an exact output larger than the pool can deliver is refused', async () => {
+  const pool = pools[0];
+  const state = await loadPoolState(recordedPool(pool));
+  assert.throws(() => simulateExactOutput(state, pool.token1, BigInt(10) ** BigInt(30)), /can only deliver/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { minimumAmountOut, maximumAmountIn, priceImpactBps } from '../src/slippage.js';
+
+// Pool prices are compared as ratios, so an exact multiple of 100 stands in for a price of 1
+const UNIT = BigInt(2) ** BigInt(80);
+const PAR = BigInt(100) * UNIT;
+const TOKEN_LOW = '0x1000000000000000000000000000000000000000';
+const TOKEN_MID = '0x2000000000000000000000000000000000000000';
+const TOKEN_HIGH = '0x3000000000000000000000000000000000000000';
+
+// sqrtPriceX96 at `percent` of PAR's, e.g. 99 for a price of 0.9801
+const sqrtPrice = (percent) => BigInt(percent) * UNIT;
+
+test('minimumAmountOut takes slippage off the quote and rounds down', () => {
+  assert.equal(minimumAmountOut(BigInt(1000000), 50), BigInt(995000));
+  assert.equal(minimumAmountOut(BigInt(999), 50), BigInt(994));
+  assert.equal(minimumAmountOut(BigInt(999), 0), BigInt(999));
+  assert.equal(minimumAmountOut(BigInt(999), 10000), BigInt(0));
+});
+
+test('maximumAmountIn adds slippage to the quote and rounds up', () => {
+  assert.equal(maximumAmountIn(BigInt(1000000), 50), BigInt(1005000));
+  assert.equal(maximumAmountIn(BigInt(999), 50), BigInt(1004));
+  assert.equal(maximumAmountIn(BigInt(10000), 1), BigInt(10001));
+  assert.equal(maximumAmountIn(BigInt(999), 0), BigInt(999));
+});
+
+test('slippage bounds stay exact on amounts beyond floating point', () => {
+  const amount = BigInt('123456789012345678901234567890');
+  assert.equal(minimumAmountOut(amount, 30), BigInt('123086418645308641864530864186'));
+  assert.equal(maximumAmountIn(amount, 30), BigInt('123827159379382715937938271594'));
+});
+
+test('priceImpactBps measures a price falling when selling token0', () => {
+  // token1/token0 falls from 1 to 0.9801
+  assert.equal(priceImpactBps([TOKEN_LOW, TOKEN_HIGH], [PAR], [sqrtPrice(99)]), 199);
+});
+
+test('priceImpactBps measures a price rising when selling token1, rounding up', () => {
+  // token1/token0 rises from 1 to 1.0201, so token0 per token1 falls to 0.98029...
+  assert.equal(priceImpactBps([TOKEN_HIGH, TOKEN_LOW], [PAR], [sqrtPrice(101)]), 198);
+});
+
+test('priceImpactBps compounds the hops of a route', () => {
+  // 0.9801 on each hop leaves 0.96059601
+  const impact = priceImpactBps(
+    [TOKEN_LOW, TOKEN_MID, TOKEN_HIGH],
+    [PAR, PAR],
+    [sqrtPrice(99), sqrtPrice(99)]
+  );
+  assert.equal(impact, 395);
+});
+
+test('priceImpactBps is zero for a price that does not move or moves in favour', () => {
+  assert.equal(priceImpactBps([TOKEN_LOW, TOKEN_HIGH], [PAR], [PAR]), 0);
+  assert.equal(priceImpactBps([TOKEN_LOW, TOKEN_HIGH], [PAR], [sqrtPrice(101)]), 0);
+});